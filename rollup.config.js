@@ -5,19 +5,28 @@ import json from '@rollup/plugin-json';
 import dts from 'rollup-plugin-dts';
 
 export default [
-  // Main library bundle
+  // Main library bundle, and the testing utilities (`rx-tiny-flux/testing`). They are built together so
+  // the code they share, RxJS included, goes in a common chunk: the `TestScheduler` then drives the same
+  // schedulers as the store, and `MockStore` extends the same `Store`.
   {
-    input: 'src/index.js',
+    input: {
+      'rx-tiny-flux': 'src/index.js',
+      'rx-tiny-flux-testing': 'src/testing.js',
+    },
     output: [
       {
-        file: 'dist/rx-tiny-flux.esm.js',
+        dir: 'dist',
         format: 'es',
         sourcemap: false,
+        entryFileNames: '[name].esm.js',
+        chunkFileNames: 'rx-tiny-flux-shared.esm.js',
       },
       {
-        file: 'dist/rx-tiny-flux.esm.min.js',
+        dir: 'dist',
         format: 'es',
         sourcemap: false,
+        entryFileNames: '[name].esm.min.js',
+        chunkFileNames: 'rx-tiny-flux-shared.esm.min.js',
         plugins: [terser()],
       },
     ],
@@ -29,4 +38,9 @@ export default [
     output: [{ file: 'dist/rx-tiny-flux.d.ts', format: 'es' }],
     plugins: [dts()],
   },
+  {
+    input: 'src/rx-tiny-flux-testing.d.ts',
+    output: [{ file: 'dist/rx-tiny-flux-testing.d.ts', format: 'es' }],
+    plugins: [dts()],
+  },
 ];
\ No newline at end of file
@@ -1,10 +1,143 @@
+/**
+ * @typedef {import('./types').Action} Action
+ */
+
+/**
+ * How invalid payloads are reported: 'throw', 'warn' or 'off'.
+ * @type {'throw'|'warn'|'off'}
+ */
+let validationMode = 'off';
+
+/**
+ * Configures the runtime validation of action payloads, typically enabled in development only.
+ * @param {'throw'|'warn'|'off'} mode - Throws an error, logs a warning or skips the validation.
+ */
+export function setActionValidation(mode) {
+  if (!['throw', 'warn', 'off'].includes(mode)) {
+    throw new Error(`Invalid action validation mode: ${mode}.`);
+  }
+  validationMode = mode;
+}
+
+/**
+ * Declares the payload properties of an action, to be used with `createAction` and `createActionGroup`.
+ * It is analogous to NgRx's `props`.
+ *
+ * @param {function(object): (boolean|string)} [validator] - An optional validator, run when the validation
+ *   is enabled with `setActionValidation`. It returns `true` if the payload is valid, or `false`/an error message.
+ * @returns {{_as: 'props', validator?: function(object): (boolean|string)}}
+ */
+export function props(validator) {
+  return { _as: 'props', validator };
+}
+
+/**
+ * Declares that an action has no payload, to be used with `createActionGroup`.
+ * @returns {{_as: 'empty'}}
+ */
+export function emptyProps() {
+  return { _as: 'empty' };
+}
+
+/**
+ * Returns whether a payload can be spread into an action.
+ * @param {any} payload
+ * @returns {boolean}
+ */
+const isPlainObject = (payload) => payload !== null && typeof payload === 'object' && !Array.isArray(payload);
+
+/**
+ * Validates the payload of a `props()` action, according to the validation mode.
+ * @param {string} type
+ * @param {any} payload
+ * @param {function(object): (boolean|string)} [validator]
+ */
+function validatePayload(type, payload, validator) {
+  if (validationMode === 'off') {
+    return;
+  }
+
+  let error;
+  if (!isPlainObject(payload)) {
+    error = `expected an object of props, received ${Array.isArray(payload) ? 'an array' : typeof payload}`;
+  } else if (validator) {
+    const result = validator(payload);
+    if (result !== true) {
+      error = typeof result === 'string' ? result : 'the payload did not pass the validator';
+    }
+  }
+
+  if (error) {
+    const message = `[rx-tiny-flux] Invalid payload for action '${type}': ${error}.`;
+    if (validationMode === 'throw') {
+      throw new Error(message);
+    }
+    console.warn(message);
+  }
+}
+
 /**
  * Factory function to create an action.
+ *
+ * - `createAction(type)`: the creator spreads an object payload into the action, any other value
+ *   is set as the `payload` property.
+ * - `createAction(type, props())`: the creator spreads the given props into the action.
+ * - `createAction(type, (a, b) => ({ ... }))`: the creator spreads the object returned by the function.
+ *
  * @param {string} type - The action type.
- * @returns {function(any=): Action} A function that creates the action with an optional payload.
+ * @param {{_as: string, validator?: function}|function(...any): object} [config] - The `props()` marker or a creator function.
+ * @returns {function(...any): Action} A function that creates the action, with a `type` property.
  */
-export function createAction(type) {
-  const actionCreator = (payload) => ({ type, ...payload });
+export function createAction(type, config) {
+  let actionCreator;
+
+  if (typeof config === 'function') {
+    actionCreator = (...args) => ({ ...config(...args), type });
+  } else if (config && config._as === 'props') {
+    actionCreator = (payload) => {
+      validatePayload(type, payload, config.validator);
+      return { ...payload, type };
+    };
+  } else if (config && config._as === 'empty') {
+    actionCreator = () => ({ type });
+  } else {
+    actionCreator = (payload) => (payload === undefined || isPlainObject(payload) ? { type, ...payload } : { type, payload });
+  }
+
   actionCreator.type = type; // Attaches the type directly to the function for easy access
   return actionCreator;
 }
+
+/**
+ * Converts an event name into an action creator name, e.g. 'Load Items' into 'loadItems'.
+ * @param {string} eventName
+ * @returns {string}
+ */
+function toActionName(eventName) {
+  return eventName
+    .trim()
+    .split(/\s+/)
+    .map((word, i) => (i === 0 ? word.charAt(0).toLowerCase() : word.charAt(0).toUpperCase()) + word.slice(1))
+    .join('');
+}
+
+/**
+ * Creates a group of action creators sharing the same source, with `[Source] Event` types.
+ * It is analogous to NgRx's `createActionGroup`.
+ *
+ * @param {object} config
+ * @param {string} config.source - The source of the events, e.g. 'Counter Page'.
+ * @param {Object<string, ({_as: string}|function(...any): object)>} config.events - The events, keyed by name,
+ *   with `props()`, `emptyProps()` or a creator function.
+ * @returns {Object<string, function(...any): Action>} The action creators, keyed by the camelCased event names.
+ */
+export function createActionGroup({ source, events }) {
+  return Object.keys(events).reduce((group, eventName) => {
+    const name = toActionName(eventName);
+    if (group[name]) {
+      throw new Error(`[rx-tiny-flux] createActionGroup: duplicate action name '${name}' in source '${source}'.`);
+    }
+    group[name] = createAction(`[${source}] ${eventName}`, events[eventName]);
+    return group;
+  }, {});
+}
@@ -0,0 +1,195 @@
+import { defer, from, isObservable, of, Subject } from 'rxjs';
+import { catchError, concatMap, exhaustMap, filter, finalize, groupBy, map, mergeMap, switchMap, takeUntil, tap } from 'rxjs/operators';
+import { createActionGroup } from './actions.js';
+import { createEffect, ofType } from './effects.js';
+import { getIn } from './paths.js';
+import { createReducer, on } from './reducers.js';
+
+/**
+ * @typedef {import('./types').Action} Action
+ */
+
+/**
+ * @typedef {'switch'|'concat'|'merge'|'exhaust'} FlatteningStrategy
+ *   How a request is handled while a call with the same key is in flight:
+ *   - `'switch'`: the call in flight is cancelled.
+ *   - `'concat'`: the request waits for it.
+ *   - `'merge'`: both run.
+ *   - `'exhaust'`: the request is ignored.
+ */
+
+/**
+ * @typedef {object} AsyncStatus
+ * @property {boolean} loading
+ * @property {{name: string, message: string}|null} error
+ * @property {any} data - The data of the last success.
+ */
+
+/**
+ * The key of the requests when no `key` function is given.
+ */
+const DEFAULT_KEY = 'default';
+
+/**
+ * The status of a key that was never requested.
+ * @type {AsyncStatus}
+ */
+const IDLE = Object.freeze({ loading: false, error: null, data: null });
+
+const flatteningOperators = {
+  switch: switchMap,
+  concat: concatMap,
+  merge: mergeMap,
+  exhaust: exhaustMap,
+};
+
+/**
+ * Converts an error into the serializable form carried by the failure action.
+ * @param {any} error
+ * @returns {{name: string, message: string}}
+ */
+function toSerializableError(error) {
+  const { name = 'Error', message = String(error) } = error instanceof Error ? error : {};
+  return { name, message };
+}
+
+/**
+ * Creates the actions and the effect of an asynchronous call, e.g. an HTTP request made by the Side Service.
+ *
+ * The actions are created with `createActionGroup({ source })`:
+ * - `request(payload)`: starts the call with the request action.
+ * - `success({ key, data, pending })`: dispatched with each value of the call.
+ * - `failure({ key, error, pending })`: dispatched if the call fails, with a serializable `error` ({ name, message }).
+ *
+ * `pending` is the number of the other calls with the same key still in flight or waiting, e.g. with
+ * the `'concat'` or `'merge'` strategy.
+ * - `cancel({ key })`: cancels the call in flight with that key, or all of them without a key.
+ *
+ * The returned object is also an effect group, with the `call$` effect: register it with
+ * `store.registerEffects(loadUser)`. The `context` of the request action is kept on its
+ * success and failure actions.
+ *
+ * @param {string} source - The source of the action types, e.g. `'User API'` gives `'[User API] Request'`.
+ * @param {function(Action): (Promise<any>|import('rxjs').Observable<any>|any)} callFn - Makes the call from the request action.
+ * @param {object} [options]
+ * @param {FlatteningStrategy} [options.strategy='switch'] - How a request is handled while a call with the same key is in flight.
+ * @param {function(Action): string} [options.key] - Returns the key of a request, e.g. the user id. The strategy and the
+ *   status are per key. All the requests have the same key by default.
+ * @returns {{
+ *   request: function(object=): Action,
+ *   success: function(object): Action,
+ *   failure: function(object): Action,
+ *   cancel: function(object=): Action,
+ *   keyOf: function(Action): string,
+ *   call$: function(import('rxjs').Observable<Action>): import('rxjs').Observable<Action>
+ * }}
+ */
+export function createAsyncEffect(source, callFn, options = {}) {
+  const { strategy = 'switch', key: keyFn = () => DEFAULT_KEY } = options;
+  const flatten = flatteningOperators[strategy];
+  if (!flatten) {
+    throw new Error(`[rx-tiny-flux] createAsyncEffect: unknown strategy '${strategy}', expected 'switch', 'concat', 'merge' or 'exhaust'.`);
+  }
+
+  const { request, success, failure, cancel } = createActionGroup({
+    source,
+    events: { Request: undefined, Success: undefined, Failure: undefined, Cancel: undefined },
+  });
+  const keyOf = (action) => String(keyFn(action));
+
+  const call$ = createEffect((actions$) => {
+    // The number of requests of each key whose call is in flight or waiting, and the keys left with none.
+    const unsettled = new Map();
+    const idle$ = new Subject();
+
+    const settle = (key) => {
+      const count = unsettled.get(key) - 1;
+      if (count > 0) {
+        unsettled.set(key, count);
+      } else {
+        unsettled.delete(key);
+        idle$.next(key);
+      }
+    };
+
+    const cancelled$ = (key) => actions$.pipe(
+      ofType(cancel),
+      filter((action) => action.key === undefined || String(action.key) === key)
+    );
+
+    const call = (action) => {
+      const key = keyOf(action);
+      const withContext = (result) => (action.context ? { ...result, context: action.context } : result);
+      // This call is not settled yet when it emits.
+      const pending = () => unsettled.get(key) - 1;
+
+      return defer(() => {
+        const result = callFn(action);
+        return isObservable(result) || (result && typeof result.then === 'function') ? from(result) : of(result);
+      }).pipe(
+        map((data) => withContext(success({ key, data, pending: pending() }))),
+        catchError((error) => of(withContext(failure({ key, error: toSerializableError(error), pending: pending() })))),
+        takeUntil(cancelled$(key)),
+        // Completed, failed, cancelled or switched away from.
+        finalize(() => settle(key))
+      );
+    };
+
+    return actions$.pipe(
+      ofType(request),
+      tap((action) => {
+        const key = keyOf(action);
+        // The `'exhaust'` strategy ignores a request while a call with the same key is in flight: it never settles.
+        if (strategy !== 'exhaust' || !unsettled.has(key)) {
+          unsettled.set(key, (unsettled.get(key) || 0) + 1);
+        }
+      }),
+      // The strategy applies to the requests with the same key. A group ends once its calls settled,
+      // so the groups of keys that are not requested anymore don't pile up.
+      groupBy(keyOf, { duration: (requests$) => idle$.pipe(filter((key) => key === requests$.key)) }),
+      mergeMap((requests$) => requests$.pipe(flatten(call)))
+    );
+  });
+
+  return { request, success, failure, cancel, keyOf, call$ };
+}
+
+/**
+ * Creates a reducer tracking the status of the calls of `createAsyncEffect`, per request key:
+ * `{ [key]: { loading, error, data } }`. A request sets `loading`, a success sets `data`,
+ * a failure sets `error`, and a cancellation clears `loading`. `loading` stays set after a success
+ * or a failure while other calls with the same key are pending.
+ *
+ * @param {string|string[]} featureKey - The key (or path) of the status slice.
+ * @param {ReturnType<typeof createAsyncEffect>} asyncEffect
+ * @returns {{path: string, initialState: object, reducerFn: function(object, Action): object}}
+ */
+export function createAsyncReducer(featureKey, asyncEffect) {
+  const { request, success, failure, cancel, keyOf } = asyncEffect;
+  const update = (state, key, changes) => ({ ...state, [key]: { ...(state[key] || IDLE), ...changes } });
+
+  return createReducer(
+    featureKey,
+    {},
+    on(request, (state, action) => update(state, keyOf(action), { loading: true, error: null })),
+    on(success, (state, { key, data, pending }) => update(state, key, { loading: pending > 0, error: null, data })),
+    on(failure, (state, { key, error, pending }) => update(state, key, { loading: pending > 0, error })),
+    on(cancel, (state, { key }) => {
+      const keys = key === undefined ? Object.keys(state).filter((k) => state[k].loading) : state[String(key)] ? [String(key)] : [];
+      return keys.reduce((nextState, k) => update(nextState, k, { loading: false }), state);
+    })
+  );
+}
+
+/**
+ * Creates a selector of the status of a key, in a slice created by `createAsyncReducer`.
+ * @param {string|string[]} featureKey - The key (or path) of the status slice.
+ * @param {string} [key='default'] - The request key.
+ * @returns {function(object): AsyncStatus}
+ */
+export function selectAsyncStatus(featureKey, key = DEFAULT_KEY) {
+  return (state) => {
+    const slice = getIn(state, featureKey);
+    return (slice && slice[key]) || IDLE;
+  };
+}
@@ -0,0 +1,32 @@
+import { createAction } from './actions.js';
+
+/**
+ * @typedef {import('./types').Action} Action
+ */
+
+/**
+ * Groups several actions into a single one. The store reduces all of them in one pass and emits
+ * the state once, while effects still receive each action on its own.
+ *
+ * With `{ transaction: true }`, the group is applied atomically: if a reducer throws, the state
+ * is rolled back to what it was before the group, the effects receive none of its actions,
+ * and `dispatch` throws the reducer error.
+ *
+ * @param {Action[]} actions
+ * @param {object} [options]
+ * @param {boolean} [options.transaction=false]
+ * @returns {{type: string, actions: Action[], transaction: boolean}}
+ */
+export const batchActions = createAction('@rx-tiny-flux/batch', (actions, options = {}) => ({
+  actions,
+  transaction: options.transaction === true,
+}));
+
+/**
+ * Returns whether an action is a group created with `batchActions`.
+ * @param {Action} action
+ * @returns {boolean}
+ */
+export function isBatch(action) {
+  return action.type === batchActions.type && Array.isArray(action.actions);
+}
@@ -0,0 +1,291 @@
+import { createAction } from './actions.js';
+import { sanitizeAction } from './devtools.js';
+import { getIn, setIn } from './paths.js';
+
+/**
+ * @typedef {import('./types').Action} Action
+ */
+
+/**
+ * @typedef {object} BroadcastTransport
+ * @property {function(object): void} post - Sends a message to the other instances.
+ * @property {function(function(object): void): (function(): void)} subscribe - Listens to the messages of the
+ *   other instances. Returns a function that stops listening.
+ * @property {function(): void} [close] - Releases the transport, called when the synchronization stops.
+ */
+
+/**
+ * Dispatched when an instance adopts the state of the leader, with the `state` to adopt.
+ */
+export const broadcastSnapshot = createAction('@rx-tiny-flux/broadcast-snapshot');
+
+/**
+ * Creates a transport on top of a `BroadcastChannel`, which reaches the other tabs and workers of the same origin.
+ * @param {string} [name='rx-tiny-flux'] - The channel name.
+ * @returns {BroadcastTransport}
+ */
+export function createBroadcastChannelTransport(name = 'rx-tiny-flux') {
+  if (typeof BroadcastChannel === 'undefined') {
+    throw new Error('[rx-tiny-flux] createBroadcastChannelTransport: BroadcastChannel is not available.');
+  }
+  const channel = new BroadcastChannel(name);
+  return {
+    post: (message) => channel.postMessage(message),
+    subscribe: (listener) => {
+      const onMessage = (event) => listener(event.data);
+      channel.addEventListener('message', onMessage);
+      return () => channel.removeEventListener('message', onMessage);
+    },
+    close: () => channel.close(),
+  };
+}
+
+/**
+ * Creates a transport on top of `postMessage`, e.g. between a page and an iframe, a popup or a worker.
+ * The messages are tagged with the channel name, so other messages are ignored.
+ * @param {{postMessage: function(any, string=): void}} target - Where the messages are sent.
+ * @param {object} [options]
+ * @param {{addEventListener: function(string, function): void, removeEventListener: function(string, function): void}} [options.source=globalThis]
+ *   Where the messages are received from.
+ * @param {string} [options.targetOrigin] - The origin of the target window. Omit it for workers.
+ * @param {string} [options.channel='rx-tiny-flux']
+ * @returns {BroadcastTransport}
+ */
+export function createPostMessageTransport(target, options = {}) {
+  const { source = globalThis, targetOrigin, channel = 'rx-tiny-flux' } = options;
+  return {
+    post: (message) => {
+      const data = { channel, message };
+      if (targetOrigin === undefined) {
+        target.postMessage(data);
+      } else {
+        target.postMessage(data, targetOrigin);
+      }
+    },
+    subscribe: (listener) => {
+      const onMessage = (event) => {
+        if (event.data && event.data.channel === channel) {
+          listener(event.data.message);
+        }
+      };
+      source.addEventListener('message', onMessage);
+      return () => source.removeEventListener('message', onMessage);
+    },
+  };
+}
+
+/**
+ * Creates an in-memory bus, a stand-in for a `BroadcastChannel` that is useful in Node and in tests.
+ * A message posted by a transport is delivered right away, as a copy, to the other transports of the bus.
+ * @returns {{createTransport: function(): BroadcastTransport}}
+ */
+export function createMemoryBus() {
+  const transports = [];
+  return {
+    createTransport() {
+      const listeners = [];
+      const transport = {
+        post: (message) => {
+          const data = JSON.stringify(message);
+          transports
+            .filter((other) => other !== transport)
+            .forEach((other) => other.deliver(JSON.parse(data)));
+        },
+        subscribe: (listener) => {
+          listeners.push(listener);
+          return () => listeners.splice(listeners.indexOf(listener), 1);
+        },
+        close: () => {
+          transports.splice(transports.indexOf(transport), 1);
+        },
+        deliver: (message) => listeners.slice().forEach((listener) => listener(message)),
+      };
+      transports.push(transport);
+      return transport;
+    },
+  };
+}
+
+/**
+ * Creates an instance id. The ids of the instances started in the same millisecond differ by their random part.
+ * @returns {string}
+ */
+function createInstanceId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Keeps several instances of a store in sync, e.g. in the tabs of a web companion or a simulator.
+ *
+ * The actions dispatched to the store are broadcast, without their `context`, to the other instances,
+ * which dispatch them with the `origin` id of the instance they come from. Only the actions without an
+ * `origin`, or with the id of this instance, are broadcast, so the received ones don't loop even if a
+ * middleware copies them. An effect deriving an action from a received one by spreading it keeps the
+ * foreign `origin`: set `origin` to the id of the instance (or remove it) for the action to be broadcast.
+ * The store's own actions (`@rx-tiny-flux/...`) are not broadcast.
+ *
+ * Only one instance, the leader, runs the effects, so their side effects happen once: the other instances
+ * receive the actions the effects of the leader dispatch. The leader is the oldest instance alive: each
+ * instance sends a heartbeat, and when the leader stops (or misses its heartbeats), the next one takes over.
+ * An instance starts by waiting `electionTimeout` for the other instances; the actions dispatched meanwhile
+ * reach its effects once it knows it is the leader.
+ *
+ * A new instance adopts the state of the leader with the `broadcastSnapshot` action.
+ *
+ * @param {import('./store').Store} store
+ * @param {object} config
+ * @param {BroadcastTransport} config.transport
+ * @param {string} [config.id] - The id of this instance. Generated by default.
+ * @param {Array<string|string[]>} [config.features] - The slices adopted from the leader. Defaults to the whole state.
+ * @param {function(Action): boolean} [config.filter] - Tells whether an action is broadcast, in addition to the default rule.
+ * @param {number} [config.heartbeat=1000] - The interval of the heartbeats, in milliseconds.
+ * @param {number} [config.timeout=3000] - The time after which a silent instance is considered gone.
+ * @param {number} [config.electionTimeout=300] - How long a starting instance waits for the other instances.
+ * @returns {{id: string, isLeader: function(): boolean, unsubscribe: function(): void}}
+ */
+export function broadcastStore(store, config) {
+  const {
+    transport,
+    id = createInstanceId(),
+    features,
+    filter = () => true,
+    heartbeat = 1000,
+    timeout = 3000,
+    electionTimeout = 300,
+  } = config || {};
+
+  if (!transport) {
+    throw new Error('[rx-tiny-flux] broadcastStore: a transport must be provided.');
+  }
+  if (store._effectsGate) {
+    throw new Error('[rx-tiny-flux] broadcastStore: the store is already synchronized.');
+  }
+
+  const startedAt = Date.now();
+  /** @type {Map<string, {startedAt: number, lastSeen: number}>} */
+  const peers = new Map();
+  let electing = true;
+  let leader = false;
+  // The actions dispatched during the election, delivered to the effects if this instance becomes the leader.
+  let held = [];
+
+  const isOlder = (a, b) => a.startedAt < b.startedAt || (a.startedAt === b.startedAt && a.id < b.id);
+  const post = (kind, payload = {}) => transport.post({ kind, origin: id, startedAt, ...payload });
+
+  const elect = () => {
+    const now = Date.now();
+    peers.forEach((peer, peerId) => {
+      if (now - peer.lastSeen > timeout) {
+        peers.delete(peerId);
+      }
+    });
+
+    const self = { id, startedAt };
+    leader = [...peers].every(([peerId, peer]) => isOlder(self, { id: peerId, startedAt: peer.startedAt }));
+    electing = false;
+
+    const actions = held;
+    held = [];
+    if (leader) {
+      actions.forEach((action) => store._replayedActions$.next(action));
+    }
+  };
+
+  // Applies the snapshot of the leader, before the feature reducers.
+  store.registerMetaReducers((reducer) => (state, action) => {
+    if (action.type !== broadcastSnapshot.type) {
+      return reducer(state, action);
+    }
+    const adopted = features
+      ? features.reduce((nextState, path) => setIn(nextState, path, getIn(action.state, path)), state)
+      : { ...state, ...action.state };
+    return reducer(adopted, action);
+  });
+
+  store._effectsGate = () => !electing && leader;
+
+  const actionsSubscription = store.actions$.subscribe((action) => {
+    if (electing) {
+      held.push(action);
+    }
+    const isOwn = typeof action.type === 'string' && action.type.startsWith('@rx-tiny-flux/');
+    const isForeign = action.origin !== undefined && action.origin !== id;
+    if (!isForeign && !isOwn && filter(action)) {
+      post('action', { action: { ...sanitizeAction(action), origin: id } });
+    }
+  });
+
+  const stopListening = transport.subscribe((message) => {
+    if (!message || message.origin === id) {
+      return;
+    }
+
+    const wasKnown = peers.has(message.origin);
+    if (message.kind === 'bye') {
+      peers.delete(message.origin);
+    } else {
+      peers.set(message.origin, { startedAt: message.startedAt, lastSeen: Date.now() });
+    }
+
+    switch (message.kind) {
+      case 'hello':
+        // Let the new instance know about this one, and give it the state if this one is the leader.
+        post('heartbeat');
+        if (leader) {
+          post('snapshot', { to: message.origin, state: store.getState() });
+        }
+        break;
+      case 'snapshot':
+        if (message.to === id) {
+          store.dispatch(broadcastSnapshot({ state: message.state }));
+        }
+        break;
+      case 'action':
+        store.dispatch(message.action);
+        break;
+      default:
+        break;
+    }
+
+    // An older instance showing up ends the election: this one can't be the leader.
+    const olderPeer = message.kind !== 'bye' && isOlder({ id: message.origin, startedAt: message.startedAt }, { id, startedAt });
+    if (electing ? olderPeer : message.kind === 'bye' || !wasKnown) {
+      elect();
+    }
+  });
+
+  const electionTimer = setTimeout(elect, electionTimeout);
+  const heartbeatTimer = setInterval(() => {
+    post('heartbeat');
+    if (!electing) {
+      elect();
+    }
+  }, heartbeat);
+
+  post('hello');
+
+  return {
+    id,
+
+    /**
+     * Tells whether this instance runs the effects.
+     */
+    isLeader: () => !electing && leader,
+
+    /**
+     * Stops the synchronization. The effects of this instance run again, and the other instances elect a new leader.
+     */
+    unsubscribe() {
+      clearTimeout(electionTimer);
+      clearInterval(heartbeatTimer);
+      actionsSubscription.unsubscribe();
+      stopListening();
+      post('bye');
+      if (transport.close) {
+        transport.close();
+      }
+      store._effectsGate = null;
+      held = [];
+    },
+  };
+}
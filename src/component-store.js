@@ -0,0 +1,216 @@
+import { combineLatest, isObservable, Subject, Subscription } from 'rxjs';
+import { distinctUntilChanged, map } from 'rxjs/operators';
+import { createAction } from './actions.js';
+import { Store } from './store.js';
+
+/**
+ * @typedef {import('./types').Action} Action
+ */
+
+/**
+ * Dispatched by the updaters of a `ComponentStore`. It carries the `updater` id, its `name` and the `value`.
+ * A function value (e.g. `setState(state => ...)`) is not serializable: it is kept by the store until the
+ * action is reduced, and the action carries its `deferred` id instead.
+ */
+export const componentUpdate = createAction('@rx-tiny-flux/component-update');
+
+/**
+ * Meta-reducer applying the updaters of a `ComponentStore` to its whole state.
+ * @param {Map<number, function(object, any): object>} updaters
+ * @param {Map<number, Function>} deferred - The function values, by `deferred` id. Each one is applied once:
+ *   an action whose function was already applied (e.g. replayed by the DevTools) leaves the state unchanged.
+ * @returns {function(function(object, Action): object): function(object, Action): object}
+ */
+function updaterMetaReducer(updaters, deferred) {
+  return (reducer) => (state, action) => {
+    let updaterFn = action.type === componentUpdate.type ? updaters.get(action.updater) : null;
+    let value = updaterFn ? action.value : undefined;
+    if (updaterFn && action.deferred !== undefined) {
+      value = deferred.get(action.deferred);
+      deferred.delete(action.deferred);
+      updaterFn = value ? updaterFn : null;
+    }
+    return reducer(updaterFn ? updaterFn(state, value) : state, action);
+  };
+}
+
+/**
+ * A lightweight store for state local to a page, analogous to NgRx's `ComponentStore`.
+ *
+ * It is a `Store` whose whole state is changed by updaters instead of feature reducers, so it
+ * has the same reduction, runtime checks and `select`, and works with `createSelector` selectors.
+ * Effects are created with `effect`, and torn down with the store by `destroy`.
+ *
+ * With the `storePlugin`, a page creates one with `this.createLocalStore(initialState)`, and it is
+ * destroyed in `onDestroy`.
+ */
+export class ComponentStore extends Store {
+  /**
+   * @private
+   * @type {Map<number, function(object, any): object>}
+   */
+  _updaters;
+
+  /**
+   * The function values passed to the updaters, until their action is reduced.
+   * @private
+   * @type {Map<number, Function>}
+   */
+  _deferred;
+
+  /**
+   * The last `deferred` id.
+   * @private
+   * @type {number}
+   */
+  _lastDeferredId = 0;
+
+  /**
+   * @private
+   * @type {function(object|function(object): object): void}
+   */
+  _setState;
+
+  /**
+   * @private
+   * @type {function(object|function(object): object): void}
+   */
+  _patchState;
+
+  /**
+   * The subscriptions of the effects and of the observables passed to updaters.
+   * @private
+   * @type {Subscription}
+   */
+  _subscriptions = new Subscription();
+
+  /**
+   * @param {object} [initialState={}]
+   * @param {object} [config] - The configuration of the `Store`, e.g. `runtimeChecks`.
+   */
+  constructor(initialState = {}, config = {}) {
+    const updaters = new Map();
+    const deferred = new Map();
+    super(initialState, { ...config, metaReducers: [...(config.metaReducers || []), updaterMetaReducer(updaters, deferred)] });
+    this._updaters = updaters;
+    this._deferred = deferred;
+
+    this._setState = this.updater((state, stateOrFn) => (typeof stateOrFn === 'function' ? stateOrFn(state) : stateOrFn), 'setState');
+    this._patchState = this.updater(
+      (state, partialOrFn) => ({ ...state, ...(typeof partialOrFn === 'function' ? partialOrFn(state) : partialOrFn) }),
+      'patchState'
+    );
+  }
+
+  /**
+   * Creates an updater: a function that changes the state with `updaterFn(state, value)`.
+   * The updater accepts a value, or an observable whose values are applied as they come.
+   *
+   * @template V
+   * @param {function(object, V): object} updaterFn - Returns the new state. It must not mutate the state.
+   * @param {string} [name] - A name for the `componentUpdate` actions, e.g. in the DevTools.
+   * @returns {function(V|import('rxjs').Observable<V>=): (void|Subscription)}
+   */
+  updater(updaterFn, name = updaterFn.name || 'anonymous updater') {
+    const id = this._updaters.size + 1;
+    this._updaters.set(id, updaterFn);
+
+    const update = (value) => {
+      if (typeof value !== 'function') {
+        return componentUpdate({ updater: id, name, value });
+      }
+      // Kept out of the action, which must stay serializable and is frozen by the runtime checks.
+      const deferred = ++this._lastDeferredId;
+      this._deferred.set(deferred, value);
+      return componentUpdate({ updater: id, name, deferred });
+    };
+
+    return (value) => {
+      if (!isObservable(value)) {
+        this.dispatch(update(value));
+        return;
+      }
+      const subscription = value.subscribe(v => this.dispatch(update(v)));
+      this._subscriptions.add(subscription);
+      return subscription;
+    };
+  }
+
+  /**
+   * Replaces the state.
+   * @param {object|function(object): object} stateOrFn - The new state, or a function returning it from the current one.
+   */
+  setState(stateOrFn) {
+    this._setState(stateOrFn);
+  }
+
+  /**
+   * Shallowly merges a partial state into the state.
+   * @param {object|function(object): object} partialOrFn - The partial state, or a function returning it from the current state.
+   */
+  patchState(partialOrFn) {
+    this._patchState(partialOrFn);
+  }
+
+  /**
+   * Returns the current state, or a value projected from it.
+   * @param {function(object): any} [projector]
+   * @returns {any}
+   */
+  get(projector) {
+    const state = this.getState();
+    return projector ? projector(state) : state;
+  }
+
+  /**
+   * Creates an effect: a function that feeds its arguments to the observable returned by `generator`.
+   * The effect accepts a value, or an observable whose values are fed as they come.
+   * It runs until the store is destroyed.
+   *
+   * @template V
+   * @param {function(import('rxjs').Observable<V>): import('rxjs').Observable<any>} generator
+   * @returns {function(V|import('rxjs').Observable<V>=): Subscription}
+   */
+  effect(generator) {
+    const origin$ = new Subject();
+    this._subscriptions.add(generator(origin$.asObservable()).subscribe({
+      error: (error) => this._reportEffectError(error, generator.name || 'component store effect'),
+    }));
+
+    return (value) => {
+      if (!isObservable(value)) {
+        origin$.next(value);
+        return new Subscription();
+      }
+      const subscription = value.subscribe(v => origin$.next(v));
+      this._subscriptions.add(subscription);
+      return subscription;
+    };
+  }
+
+  /**
+   * Selects a value from the state of this store and the state of another one (usually the
+   * global store), with `selectorFn(localState, otherState)`. It emits when the value changes.
+   *
+   * @param {Store} store - The other store.
+   * @param {function(object, object): any} selectorFn
+   * @returns {import('rxjs').Observable<any>}
+   */
+  selectWith(store, selectorFn) {
+    return combineLatest([this._state$, store._state$]).pipe(
+      map(([localState, otherState]) => selectorFn(localState, otherState)),
+      distinctUntilChanged()
+    );
+  }
+
+  /**
+   * Tears down the effects and the subscriptions of the store, and completes its state.
+   */
+  destroy() {
+    this._subscriptions.unsubscribe();
+    this._effects.forEach(({ subscription }) => subscription.unsubscribe());
+    this._actions$.complete();
+    this._state$.complete();
+  }
+}
+
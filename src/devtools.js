@@ -0,0 +1,338 @@
+/**
+ * @typedef {import('./types').Action} Action
+ */
+
+/**
+ * @typedef {object} DevtoolsTransport
+ * @property {function(object, object=): void} init - Sends the initial state (and optionally the lifted state).
+ * @property {function(Action|null, object): void} send - Sends an action with its resulting state,
+ *   or `null` with the whole lifted state after a time-travel operation.
+ * @property {function(function(object): void): (function(): void)} subscribe - Listens to the monitor messages.
+ *   Returns a function that stops listening.
+ */
+
+/**
+ * Removes the `context` (a component instance with circular references) from an action,
+ * so it can be serialized.
+ * @param {Action} action
+ * @returns {Action}
+ */
+export function sanitizeAction(action) {
+  if (!action || !action.context) {
+    return action;
+  }
+  const { context, ...sanitized } = action;
+  return sanitized;
+}
+
+/**
+ * Creates a transport that talks to the Redux DevTools browser extension.
+ * @param {object} [options] - The options passed to `__REDUX_DEVTOOLS_EXTENSION__.connect`, such as `name`.
+ * @returns {DevtoolsTransport}
+ */
+export function createExtensionTransport(options = {}) {
+  const extension = typeof globalThis !== 'undefined' && globalThis.__REDUX_DEVTOOLS_EXTENSION__;
+  if (!extension) {
+    throw new Error('[rx-tiny-flux] createExtensionTransport: the Redux DevTools extension is not available.');
+  }
+  // The extension connection already implements the transport interface.
+  return extension.connect(options);
+}
+
+/**
+ * Creates a transport that exchanges JSON messages over a WebSocket-like object,
+ * using the same message types as the Redux DevTools extension.
+ * @param {{send: function(string): void, addEventListener: function(string, function): void, removeEventListener: function(string, function): void}} socket
+ * @returns {DevtoolsTransport}
+ */
+export function createWebSocketTransport(socket) {
+  const post = (message) => socket.send(JSON.stringify(message));
+  return {
+    init: (state, liftedState) => post({ type: 'INIT', payload: state, liftedState }),
+    send: (action, state) => post(action ? { type: 'ACTION', action, payload: state } : { type: 'STATE', payload: state }),
+    subscribe: (listener) => {
+      const onMessage = (event) => {
+        try {
+          listener(JSON.parse(event.data));
+        } catch (e) {
+          console.error('[rx-tiny-flux] devtools: invalid message received.', e);
+        }
+      };
+      socket.addEventListener('message', onMessage);
+      return () => socket.removeEventListener('message', onMessage);
+    },
+  };
+}
+
+/**
+ * Creates an in-process transport, a stand-in for the extension that is useful for tests.
+ * The messages sent by the store are recorded in `messages`, and `emit` simulates a monitor message.
+ * @returns {DevtoolsTransport & {messages: object[], emit: function(object): void}}
+ */
+export function createMemoryTransport() {
+  const listeners = [];
+  const messages = [];
+  return {
+    messages,
+    init: (state, liftedState) => { messages.push({ type: 'INIT', payload: state, liftedState }); },
+    send: (action, state) => { messages.push(action ? { type: 'ACTION', action, payload: state } : { type: 'STATE', payload: state }); },
+    subscribe: (listener) => {
+      listeners.push(listener);
+      return () => listeners.splice(listeners.indexOf(listener), 1);
+    },
+    emit: (message) => listeners.slice().forEach((listener) => listener(message)),
+  };
+}
+
+/**
+ * Instruments a store: every dispatched action is recorded with its resulting state,
+ * and the history can be inspected and time-travelled through a Redux DevTools compatible transport.
+ *
+ * The recording is done by a meta-reducer, so call this function before registering other
+ * meta-reducers if you want them to be replayed too.
+ *
+ * @param {import('./store').Store} store - The store to instrument.
+ * @param {object} config - The configuration object.
+ * @param {DevtoolsTransport} config.transport - The transport used to talk to the monitor.
+ * @param {number} [config.maxAge=50] - The maximum number of actions kept in the history.
+ * @param {function(Action): Action} [config.actionSanitizer] - An extra sanitizer applied to the recorded actions.
+ * @returns {{
+ *   jumpToAction: function(number): void,
+ *   jumpToState: function(number): void,
+ *   toggleAction: function(number): void,
+ *   reset: function(): void,
+ *   commit: function(): void,
+ *   rollback: function(): void,
+ *   getLiftedState: function(): object,
+ *   disconnect: function(): void
+ * }} A handle to control the history.
+ */
+export function instrumentStore(store, config) {
+  const { transport, maxAge = 50, actionSanitizer = (action) => action } = config || {};
+
+  if (!transport) {
+    throw new Error('[rx-tiny-flux] instrumentStore: a transport must be provided.');
+  }
+
+  const sanitize = (action) => actionSanitizer(sanitizeAction(action));
+  const initAction = { type: '@rx-tiny-flux/devtools/init' };
+
+  // The history uses the "lifted state" shape of the Redux DevTools, the id 0 being the initial state.
+  const initialState = store._state$.getValue();
+  let committedState = initialState;
+  let actionsById = { 0: { type: 'PERFORM_ACTION', action: initAction, timestamp: Date.now() } };
+  let stagedActionIds = [0];
+  let skippedActionIds = [];
+  let computedStates = [{ state: committedState }];
+  let currentStateIndex = 0;
+  let nextActionId = 1;
+
+  // The reducer wrapped by the recording meta-reducer, used to replay the actions.
+  let innerReducer = (state) => state;
+  let isRecording = true;
+
+  const getLiftedState = () => ({
+    actionsById,
+    computedStates,
+    committedState,
+    currentStateIndex,
+    nextActionId,
+    skippedActionIds,
+    stagedActionIds,
+    isLocked: false,
+    isPaused: false,
+  });
+
+  /**
+   * Replaces the store state without going through the reducers.
+   * @param {object} state
+   */
+  const setStoreState = (state) => store._state$.next(state);
+
+  /**
+   * Recomputes the states of the staged actions from the committed state, ignoring the skipped ones.
+   */
+  const recompute = () => {
+    let state = committedState;
+    computedStates = stagedActionIds.map((id, index) => {
+      if (index > 0 && !skippedActionIds.includes(id)) {
+        state = innerReducer(state, actionsById[id].action);
+      }
+      return { state };
+    });
+  };
+
+  /**
+   * Drops the oldest actions above `maxAge`, folding them into the committed state.
+   */
+  const trim = () => {
+    while (stagedActionIds.length > maxAge + 1) {
+      const [, oldestId] = stagedActionIds;
+      committedState = computedStates[1].state;
+      delete actionsById[oldestId];
+      skippedActionIds = skippedActionIds.filter((id) => id !== oldestId);
+      stagedActionIds = [0, ...stagedActionIds.slice(2)];
+      computedStates = [{ state: committedState }, ...computedStates.slice(2)];
+      currentStateIndex = Math.max(0, currentStateIndex - 1);
+    }
+  };
+
+  /**
+   * Starts a new history from the given state.
+   * @param {object} state
+   */
+  const restart = (state) => {
+    committedState = state;
+    actionsById = { 0: { type: 'PERFORM_ACTION', action: initAction, timestamp: Date.now() } };
+    stagedActionIds = [0];
+    skippedActionIds = [];
+    computedStates = [{ state }];
+    currentStateIndex = 0;
+    nextActionId = 1;
+  };
+
+  const jumpToState = (index) => {
+    if (index < 0 || index >= computedStates.length) {
+      return;
+    }
+    currentStateIndex = index;
+    setStoreState(computedStates[index].state);
+  };
+
+  const jumpToAction = (actionId) => jumpToState(stagedActionIds.indexOf(actionId));
+
+  const toggleAction = (actionId) => {
+    if (actionId === 0 || !actionsById[actionId]) {
+      return;
+    }
+    skippedActionIds = skippedActionIds.includes(actionId)
+      ? skippedActionIds.filter((id) => id !== actionId)
+      : [...skippedActionIds, actionId];
+    recompute();
+    setStoreState(computedStates[currentStateIndex].state);
+    transport.send(null, getLiftedState());
+  };
+
+  const reset = () => {
+    restart(initialState);
+    setStoreState(committedState);
+    transport.init(committedState, getLiftedState());
+  };
+
+  const commit = () => {
+    restart(computedStates[currentStateIndex].state);
+    transport.init(committedState, getLiftedState());
+  };
+
+  const rollback = () => {
+    restart(committedState);
+    setStoreState(committedState);
+    transport.init(committedState, getLiftedState());
+  };
+
+  store.registerMetaReducers((reducer) => {
+    innerReducer = reducer;
+    return (state, action) => {
+      if (!isRecording) {
+        return reducer(state, action);
+      }
+
+      // After jumping back in time, a new action continues the history from its last state, so each
+      // recorded state stays the one its staged actions give, and the store leaves the jumped state.
+      const lastState = computedStates[computedStates.length - 1].state;
+      const nextState = reducer(currentStateIndex === computedStates.length - 1 ? state : lastState, action);
+
+      const id = nextActionId++;
+      const recordedAction = sanitize(action);
+      actionsById[id] = { type: 'PERFORM_ACTION', action: recordedAction, timestamp: Date.now() };
+      stagedActionIds.push(id);
+      computedStates.push({ state: nextState });
+      currentStateIndex = computedStates.length - 1;
+      trim();
+
+      transport.send(recordedAction, nextState);
+      return nextState;
+    };
+  });
+
+  /**
+   * Handles the messages sent by the monitor, following the Redux DevTools protocol.
+   * @param {object} message
+   */
+  const onMessage = (message) => {
+    if (!message) {
+      return;
+    }
+
+    switch (message.type) {
+      case 'START':
+        transport.init(store._state$.getValue(), getLiftedState());
+        break;
+      case 'ACTION': {
+        // An action typed in the monitor's dispatcher.
+        try {
+          const action = typeof message.payload === 'string' ? JSON.parse(message.payload) : message.payload;
+          if (action && typeof action.type === 'string') {
+            store.dispatch(action);
+          }
+        } catch (e) {
+          console.error('[rx-tiny-flux] devtools: only JSON actions can be dispatched from the monitor.', e);
+        }
+        break;
+      }
+      case 'DISPATCH': {
+        const payload = message.payload || {};
+        switch (payload.type) {
+          case 'JUMP_TO_ACTION':
+            jumpToAction(payload.actionId);
+            break;
+          case 'JUMP_TO_STATE':
+            if (payload.actionId !== undefined) {
+              jumpToAction(payload.actionId);
+            } else {
+              jumpToState(payload.index);
+            }
+            break;
+          case 'TOGGLE_ACTION':
+            toggleAction(payload.id);
+            break;
+          case 'RESET':
+            reset();
+            break;
+          case 'COMMIT':
+            commit();
+            break;
+          case 'ROLLBACK':
+            rollback();
+            break;
+          default:
+            // Other monitor commands (import, lock, pause...) are not supported.
+            break;
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  };
+
+  const stopListening = transport.subscribe(onMessage);
+  transport.init(committedState, getLiftedState());
+
+  return {
+    jumpToAction,
+    jumpToState,
+    toggleAction,
+    reset,
+    commit,
+    rollback,
+    getLiftedState,
+    disconnect: () => {
+      if (typeof stopListening === 'function') {
+        stopListening();
+      }
+      // Stop recording: the meta-reducer stays registered but becomes a pass-through.
+      isRecording = false;
+    },
+  };
+}
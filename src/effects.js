@@ -1,4 +1,5 @@
 import { filter } from 'rxjs';
+import { createAction } from './actions.js';
 
 /**
  * @typedef {import('./types').Action} Action
@@ -17,12 +18,26 @@ export function ofType(...actionCreators) {
   return filter(action => allowedTypes.includes(action.type));
 }
 
+/**
+ * The default number of times an effect is resubscribed after an error.
+ */
+const DEFAULT_MAX_RETRIES = 10;
+
+/**
+ * Action dispatched by the store when an effect throws an error.
+ * It carries the `effect` name and a serializable `error` ({ name, message }).
+ */
+export const effectError = createAction('@rx-tiny-flux/effect-error');
+
 /**
  * Factory function to create an effect and attaches metadata to it.
  *
  * @param {function(ActionStream): ActionStream} effectFn A function that takes an actions stream and returns a new stream.
  * @param {object} [config] - An optional configuration object.
  * @param {boolean} [config.dispatch=true] - If false, the effect's output will not be dispatched as an action.
+ * @param {boolean} [config.useEffectsErrorHandler=true] - If true, the effect is resubscribed when it errors.
+ * @param {number} [config.maxRetries=10] - The maximum number of resubscriptions after errors.
+ * @param {string} [config.name] - A name describing the effect in error reports. Defaults to the function name.
  * @returns {function(ActionStream): ActionStream} The effect function with a `_rxEffect` property for metadata.
  */
 export function createEffect(effectFn, config = { dispatch: true }) {
@@ -32,8 +47,29 @@ export function createEffect(effectFn, config = { dispatch: true }) {
   // Attach metadata to the function object itself.
   // This allows the store to identify it as an effect and read its configuration.
   Object.defineProperty(effectFn, '_rxEffect', {
-    value: { dispatch: config.dispatch !== false }, // Default to true
+    value: {
+      dispatch: config.dispatch !== false, // Default to true
+      useEffectsErrorHandler: config.useEffectsErrorHandler !== false, // Default to true
+      maxRetries: typeof config.maxRetries === 'number' ? config.maxRetries : DEFAULT_MAX_RETRIES,
+      name: config.name,
+    },
     enumerable: false,
   });
   return effectFn;
-}
\ No newline at end of file
+}
+
+/**
+ * Returns the metadata of an effect, with defaults for plain functions not created by `createEffect`.
+ * @param {function(ActionStream): ActionStream} effectFn
+ * @param {string} [key] - The property name of the effect in its group, used as a fallback name.
+ * @returns {{dispatch: boolean, useEffectsErrorHandler: boolean, maxRetries: number, name: string}}
+ */
+export function getEffectConfig(effectFn, key) {
+  const config = effectFn._rxEffect || {};
+  return {
+    dispatch: config.dispatch !== false,
+    useEffectsErrorHandler: config.useEffectsErrorHandler !== false,
+    maxRetries: typeof config.maxRetries === 'number' ? config.maxRetries : DEFAULT_MAX_RETRIES,
+    name: config.name || key || effectFn.name || 'anonymous effect',
+  };
+}
@@ -0,0 +1,212 @@
+import { createSelector } from './selectors.js';
+
+/**
+ * @typedef {object} EntityState
+ * @property {Array<string|number>} ids - The ids of the entities, in order.
+ * @property {Object<string, any>} entities - The entities, indexed by id.
+ */
+
+/**
+ * @typedef {object} Update
+ * @property {string|number} id - The id of the entity to update.
+ * @property {object} changes - The properties to merge into the entity.
+ */
+
+/**
+ * Returns whether two arrays have the same elements in the same order.
+ * @param {any[]} a
+ * @param {any[]} b
+ * @returns {boolean}
+ */
+function sameIds(a, b) {
+  return a.length === b.length && a.every((id, i) => id === b[i]);
+}
+
+/**
+ * Returns whether the collection has an entity with this id. Inherited properties such as
+ * `constructor` or `toString` are not entities.
+ * @param {object} entities
+ * @param {string|number} id
+ * @returns {boolean}
+ */
+const hasEntity = (entities, id) => Object.prototype.hasOwnProperty.call(entities, id);
+
+/**
+ * Returns the index of an id in the ids array, or -1. The ids are compared as entity keys, so the
+ * id `'1'` (e.g. from page params) finds the id `1`.
+ * @param {Array<string|number>} ids
+ * @param {string|number} id
+ * @returns {number}
+ */
+const indexOfId = (ids, id) => ids.findIndex((other) => String(other) === String(id));
+
+/**
+ * Creates an adapter to manage a normalized collection (`{ ids, entities }`) in a state slice.
+ * It is analogous to NgRx's `createEntityAdapter`.
+ *
+ * The mutators are pure: they return a new state, or the same reference when nothing changed,
+ * so they can be used directly inside `on(...)` handlers.
+ *
+ * @param {object} [options]
+ * @param {function(any): (string|number)} [options.selectId] - Returns the id of an entity. Defaults to `entity.id`.
+ * @param {function(any, any): number|false} [options.sortComparer=false] - Keeps the ids sorted if provided,
+ *   otherwise the ids keep the insertion order.
+ * @returns {object} The adapter, with `getInitialState`, the mutators and `getSelectors`.
+ */
+export function createEntityAdapter({ selectId = (entity) => entity.id, sortComparer = false } = {}) {
+  /**
+   * Applies a mutation to a copy of the state, and returns the original state if nothing changed.
+   * @param {EntityState} state
+   * @param {function({ids: Array<string|number>, entities: object}): boolean} mutate - Mutates the copy and returns whether it changed.
+   * @returns {EntityState}
+   */
+  const apply = (state, mutate) => {
+    const draft = { ids: state.ids.slice(), entities: { ...state.entities } };
+    if (!mutate(draft)) {
+      return state;
+    }
+
+    let ids = draft.ids;
+    if (sortComparer) {
+      ids = ids.slice().sort((a, b) => sortComparer(draft.entities[a], draft.entities[b]));
+    }
+
+    return {
+      ...state,
+      // Keep the ids reference when only the entities changed.
+      ids: sameIds(ids, state.ids) ? state.ids : ids,
+      entities: draft.entities,
+    };
+  };
+
+  const addTo = (draft, entity) => {
+    const id = selectId(entity);
+    if (hasEntity(draft.entities, id)) {
+      return false;
+    }
+    draft.ids.push(id);
+    draft.entities[id] = entity;
+    return true;
+  };
+
+  const setTo = (draft, entity) => {
+    const id = selectId(entity);
+    if (!hasEntity(draft.entities, id)) {
+      draft.ids.push(id);
+    } else if (draft.entities[id] === entity) {
+      return false;
+    }
+    draft.entities[id] = entity;
+    return true;
+  };
+
+  const updateIn = (draft, { id, changes }) => {
+    const original = hasEntity(draft.entities, id) ? draft.entities[id] : undefined;
+    const index = indexOfId(draft.ids, id);
+    if (!original || index === -1 || Object.keys(changes).every((key) => original[key] === changes[key])) {
+      return false;
+    }
+
+    const updated = { ...original, ...changes };
+    const newId = selectId(updated);
+    if (String(newId) !== String(id)) {
+      // The update changed the id of the entity.
+      delete draft.entities[id];
+      draft.ids[index] = newId;
+    }
+    draft.entities[newId] = updated;
+    return true;
+  };
+
+  const upsertIn = (draft, entity) => {
+    const id = selectId(entity);
+    return hasEntity(draft.entities, id) ? updateIn(draft, { id, changes: entity }) : addTo(draft, entity);
+  };
+
+  const removeFrom = (draft, id) => {
+    const index = indexOfId(draft.ids, id);
+    if (!hasEntity(draft.entities, id) || index === -1) {
+      return false;
+    }
+    delete draft.entities[id];
+    draft.ids.splice(index, 1);
+    return true;
+  };
+
+  // Runs a single-item mutation over many items, reporting whether any of them changed.
+  const many = (fn) => (draft, items) => items.reduce((changed, item) => fn(draft, item) || changed, false);
+
+  return {
+    /**
+     * Returns the initial state of the collection, merged with additional properties.
+     * @param {object} [additionalState]
+     * @returns {EntityState}
+     */
+    getInitialState: (additionalState = {}) => ({ ids: [], entities: {}, ...additionalState }),
+
+    /** Adds an entity, if its id is not in the collection yet. */
+    addOne: (entity, state) => apply(state, (draft) => addTo(draft, entity)),
+    /** Adds the entities whose ids are not in the collection yet. */
+    addMany: (entities, state) => apply(state, (draft) => many(addTo)(draft, entities)),
+    /** Adds or replaces an entity. */
+    setOne: (entity, state) => apply(state, (draft) => setTo(draft, entity)),
+    /** Adds or replaces the entities. */
+    setMany: (entities, state) => apply(state, (draft) => many(setTo)(draft, entities)),
+    /** Replaces the whole collection. */
+    setAll: (entities, state) => apply(state, (draft) => {
+      draft.ids = [];
+      draft.entities = {};
+      many(setTo)(draft, entities);
+      return true;
+    }),
+    /** Merges changes into an entity: `{ id, changes }`. */
+    updateOne: (update, state) => apply(state, (draft) => updateIn(draft, update)),
+    /** Merges changes into many entities. */
+    updateMany: (updates, state) => apply(state, (draft) => many(updateIn)(draft, updates)),
+    /** Adds an entity, or merges it into the existing one. */
+    upsertOne: (entity, state) => apply(state, (draft) => upsertIn(draft, entity)),
+    /** Adds entities, or merges them into the existing ones. */
+    upsertMany: (entities, state) => apply(state, (draft) => many(upsertIn)(draft, entities)),
+    /** Removes an entity by id. */
+    removeOne: (id, state) => apply(state, (draft) => removeFrom(draft, id)),
+    /** Removes entities by ids, or those matching a predicate. */
+    removeMany: (idsOrPredicate, state) => apply(state, (draft) => {
+      const ids = typeof idsOrPredicate === 'function'
+        ? draft.ids.filter((id) => idsOrPredicate(draft.entities[id]))
+        : idsOrPredicate;
+      return many(removeFrom)(draft, ids);
+    }),
+    /** Removes all the entities, keeping the additional properties. */
+    removeAll: (state) => (state.ids.length === 0 ? state : { ...state, ids: [], entities: {} }),
+    /** Maps every entity; the entities returned unchanged keep their reference. */
+    map: (mapFn, state) => apply(state, (draft) => many((d, id) => {
+      const entity = d.entities[id];
+      const mapped = mapFn(entity);
+      return mapped !== entity && updateIn(d, { id, changes: mapped });
+    })(draft, state.ids)),
+
+    /**
+     * Returns memoized selectors for the collection.
+     * @param {function(object): EntityState} [selectState] - Selects the collection from the root state.
+     *   If omitted, the selectors receive the collection itself.
+     * @returns {{selectIds: Function, selectEntities: Function, selectAll: Function, selectTotal: Function}}
+     */
+    getSelectors: (selectState) => {
+      const selectIds = (state) => state.ids;
+      const selectEntities = (state) => state.entities;
+      const selectAll = createSelector(selectIds, selectEntities, (ids, entities) => ids.map((id) => entities[id]));
+      const selectTotal = createSelector(selectIds, (ids) => ids.length);
+
+      if (!selectState) {
+        return { selectIds, selectEntities, selectAll, selectTotal };
+      }
+
+      return {
+        selectIds: createSelector(selectState, selectIds),
+        selectEntities: createSelector(selectState, selectEntities),
+        selectAll: createSelector(selectState, selectAll),
+        selectTotal: createSelector(selectState, selectTotal),
+      };
+    },
+  };
+}
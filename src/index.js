@@ -1,8 +1,36 @@
 export { Store } from './store.js';
-export { createAction } from './actions.js';
-export { createReducer, on, anyAction } from './reducers.js';
-export { createEffect, ofType } from './effects.js';
+export { ComponentStore, componentUpdate } from './component-store.js';
+export { RuntimeCheckError } from './runtime-checks.js';
+export { createAction, createActionGroup, props, emptyProps, setActionValidation } from './actions.js';
+export { createReducer, combineReducers, on, anyAction } from './reducers.js';
+export { createEffect, ofType, effectError } from './effects.js';
+export { init, updateReducers, effectsInit, storePluginInit } from './lifecycle.js';
+export { createAsyncEffect, createAsyncReducer, selectAsyncStatus } from './async.js';
+export { batchActions } from './batch.js';
 export { createSelector, createFeatureSelector } from './selectors.js';
+export { computed } from './signals.js';
+export { createEntityAdapter } from './entity.js';
+export { undoable, createUndoableSelectors, undo, redo, jump, clearHistory } from './undoable.js';
+export { persistState, rehydrate, createMemoryStorage, createWebStorage, createZeppFileStorage } from './persistence.js';
+export { instrumentStore, sanitizeAction, createExtensionTransport, createWebSocketTransport, createMemoryTransport } from './devtools.js';
+export { profileStore } from './profiler.js';
+export { broadcastStore, broadcastSnapshot, createBroadcastChannelTransport, createPostMessageTransport, createMemoryBus } from './broadcast.js';
+export { createStateSync, diff, applyPatch, syncPatch, syncSnapshot, syncResync } from './sync.js';
+export { createOutbox, outboxAck, outboxStatus, outboxReducer, selectOutboxStatus } from './outbox.js';
+export {
+  navigateTo,
+  back,
+  routerPageEnter,
+  routerPageLeave,
+  routerReducer,
+  selectRouter,
+  selectCurrentRoute,
+  selectCurrentPage,
+  selectRouteParams,
+  createRouterEffects,
+  createZeppRouterAdapter,
+  createMemoryRouterAdapter,
+} from './router.js';
 
 // Re-export all RxJS operators from the renamed file
 export * from './rxjs.js';
@@ -10,3 +38,4 @@ export * from './rxjs.js';
 // Re-export ZeppOS specific functionalities
 export { storePlugin } from './zeppos.js';
 export { withLatestFromStore, isSideService, isApp, propagateAction } from './zeppos-operators.js';
+export { respond, requestFailure, requestCancel } from './request.js';
@@ -0,0 +1,24 @@
+import { createAction } from './actions.js';
+
+/**
+ * Dispatched by the `Store` once it is created. Only reducers and meta-reducers can react to it,
+ * as no effect is registered yet.
+ */
+export const init = createAction('@rx-tiny-flux/init');
+
+/**
+ * Dispatched by `registerReducers` and `unregisterReducers`, with the affected `features` keys.
+ */
+export const updateReducers = createAction('@rx-tiny-flux/update-reducers');
+
+/**
+ * Dispatched by `registerEffects` once the given effects are running.
+ */
+export const effectsInit = createAction('@rx-tiny-flux/effects-init');
+
+/**
+ * Dispatched by the `storePlugin` once the store is wired to the App (in `onCreate`) or to
+ * the Side Service (in `onInit`). It carries the component instance as `context`, so effects
+ * can start loading data and propagate actions from there.
+ */
+export const storePluginInit = createAction('@rx-tiny-flux/store-plugin-init');
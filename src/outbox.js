@@ -0,0 +1,318 @@
+import { createAction } from './actions.js';
+import { createReducer, on } from './reducers.js';
+import { createFeatureSelector } from './selectors.js';
+
+/**
+ * @typedef {import('./types').Action} Action
+ * @typedef {import('./persistence').StorageAdapter} StorageAdapter
+ */
+
+/**
+ * @typedef {object} OutboxEntry
+ * @property {string} id - The delivery id, sent as `outboxId`.
+ * @property {Action} action - The action to deliver, without its `context`.
+ * @property {number} attempts - The number of times it was sent.
+ * @property {number} nextAttemptAt - When it is sent again if not acknowledged, in milliseconds since the epoch.
+ * @property {boolean} failed - True once all the attempts were made without acknowledgement.
+ */
+
+/**
+ * The feature key of the outbox status slice.
+ */
+const OUTBOX_FEATURE_KEY = 'outbox';
+
+/**
+ * The number of received delivery ids remembered to discard duplicated deliveries.
+ */
+const RECEIVED_IDS_MEMORY = 100;
+
+/**
+ * Sent back by the receiving side when it gets a queued action. It carries the `outboxId` of the action.
+ */
+export const outboxAck = createAction('@rx-tiny-flux/outbox-ack');
+
+/**
+ * Dispatched by the outbox when its counts change, with the number of `pending` and `failed` actions.
+ */
+export const outboxStatus = createAction('@rx-tiny-flux/outbox-status');
+
+/**
+ * The reducer of the outbox status slice (`{ pending, failed }`), registered by `createOutbox`.
+ */
+export const outboxReducer = createReducer(
+  OUTBOX_FEATURE_KEY,
+  { pending: 0, failed: 0 },
+  on(outboxStatus, (state, { pending, failed }) => (state.pending === pending && state.failed === failed ? state : { pending, failed }))
+);
+
+/**
+ * Selects the outbox status, `{ pending, failed }`, e.g. to show a sync indicator on a page.
+ */
+export const selectOutboxStatus = createFeatureSelector(OUTBOX_FEATURE_KEY);
+
+let lastOutboxId = 0;
+
+/**
+ * Creates a delivery id, unique for the lifetime of the app.
+ * @returns {string}
+ */
+function createOutboxId() {
+  lastOutboxId++;
+  return `${Date.now().toString(36)}-${lastOutboxId.toString(36)}`;
+}
+
+/**
+ * Creates a durable outbox for the actions propagated to the other side (App or Side Service).
+ *
+ * The queued actions are persisted through the storage adapter, so they survive a restart, and
+ * sent with an `outboxId` until the other side acknowledges them with `outboxAck`. An action that is
+ * not acknowledged is sent again with an exponential backoff, up to `maxAttempts` times, after which
+ * it is marked as failed. While `isConnected` returns false, nothing is sent and no attempt is counted,
+ * and the connection is checked with the same backoff: call `flush` when the connection is restored.
+ *
+ * Actions are deduplicated by id: queuing an action whose `outboxId` is already queued replaces it.
+ * The `pending` and `failed` counts are kept in the `outbox` slice of the store.
+ *
+ * The `storePlugin` creates it when the `outbox` option is set.
+ *
+ * @param {import('./store').Store} store - The store where the status is kept.
+ * @param {object} config
+ * @param {function(Action): void} config.send - Sends a message to the other side.
+ * @param {StorageAdapter} [config.storage] - The storage adapter. If omitted, the queue is kept in memory only.
+ * @param {string} [config.key='rx-tiny-flux-outbox'] - The storage key.
+ * @param {function(): boolean} [config.isConnected] - Returns whether the other side is reachable, e.g. using
+ *   `connectStatus` from `@zos/ble`. Defaults to always connected.
+ * @param {number} [config.delay=1000] - The delay before the first retry, in milliseconds. It doubles after each attempt.
+ * @param {number} [config.maxDelay=60000] - The maximum delay between two attempts.
+ * @param {number} [config.maxAttempts=5] - The number of attempts before an action is marked as failed.
+ * @returns {{
+ *   enqueue: function(Action): string,
+ *   handleMessage: function(Action): boolean,
+ *   flush: function(): void,
+ *   retryFailed: function(): void,
+ *   clearFailed: function(): void,
+ *   unsubscribe: function(): void
+ * }}
+ */
+export function createOutbox(store, config) {
+  const {
+    send,
+    storage,
+    key = 'rx-tiny-flux-outbox',
+    isConnected = () => true,
+    delay = 1000,
+    maxDelay = 60000,
+    maxAttempts = 5,
+  } = config || {};
+
+  if (typeof send !== 'function') {
+    throw new Error('[rx-tiny-flux] createOutbox: a `send` function must be provided.');
+  }
+
+  /** @type {OutboxEntry[]} */
+  let entries = [];
+  let timer = null;
+  let active = true;
+  // The number of checks in a row that found the other side unreachable.
+  let disconnectedChecks = 0;
+
+  const backoff = (attempts) => Math.min(maxDelay, delay * Math.pow(2, Math.max(0, attempts - 1)));
+
+  const load = () => {
+    try {
+      const raw = storage ? storage.getItem(key) : null;
+      return raw ? JSON.parse(raw) : [];
+    } catch (e) {
+      // A corrupted queue must never prevent the app from starting.
+      console.error('[rx-tiny-flux] createOutbox: could not load the queued actions.', e);
+      return [];
+    }
+  };
+
+  const persist = () => {
+    if (storage) {
+      try {
+        storage.setItem(key, JSON.stringify(entries));
+      } catch (e) {
+        console.error('[rx-tiny-flux] createOutbox: could not persist the queued actions.', e);
+      }
+    }
+  };
+
+  // Persists the queue and updates the status slice.
+  const commit = () => {
+    persist();
+    const failed = entries.filter((entry) => entry.failed).length;
+    store.dispatch(outboxStatus({ pending: entries.length - failed, failed }));
+  };
+
+  // Sends the entries that are due, then waits for the next one.
+  const process = () => {
+    clearTimeout(timer);
+    timer = null;
+    if (!active) {
+      return;
+    }
+
+    const now = Date.now();
+    const connected = isConnected();
+    let changed = false;
+
+    const due = entries.filter((entry) => !entry.failed && entry.nextAttemptAt <= now);
+    disconnectedChecks = connected ? 0 : disconnectedChecks + (due.length > 0 ? 1 : 0);
+
+    due.forEach((entry) => {
+      if (!connected) {
+        entry.nextAttemptAt = now + backoff(disconnectedChecks);
+      } else if (entry.attempts >= maxAttempts) {
+        entry.failed = true;
+        changed = true;
+      } else {
+        entry.attempts++;
+        entry.nextAttemptAt = now + backoff(entry.attempts);
+        send({ ...entry.action, outboxId: entry.id });
+      }
+    });
+
+    // The attempts are persisted too, but the status is only dispatched if a count changed.
+    if (changed) {
+      commit();
+    } else {
+      persist();
+    }
+
+    const waiting = entries.filter((entry) => !entry.failed);
+    if (waiting.length > 0) {
+      const next = Math.min(...waiting.map((entry) => entry.nextAttemptAt));
+      timer = setTimeout(process, Math.max(0, next - Date.now()));
+    }
+  };
+
+  store.registerReducers(outboxReducer);
+  entries = load();
+  commit();
+  process();
+
+  return {
+    /**
+     * Queues an action and tries to send it right away. Returns its delivery id.
+     */
+    enqueue(action) {
+      const { context, ...message } = action;
+      const id = message.outboxId || createOutboxId();
+      delete message.outboxId;
+
+      entries = entries.filter((entry) => entry.id !== id).concat({ id, action: message, attempts: 0, nextAttemptAt: 0, failed: false });
+      commit();
+      process();
+      return id;
+    },
+
+    /**
+     * Removes the acknowledged action from the queue. Returns true if the message was an `outboxAck`.
+     */
+    handleMessage(message) {
+      if (!message || message.type !== outboxAck.type) {
+        return false;
+      }
+      const remaining = entries.filter((entry) => entry.id !== message.outboxId);
+      if (remaining.length !== entries.length) {
+        entries = remaining;
+        commit();
+      }
+      return true;
+    },
+
+    /**
+     * Sends the pending actions now, e.g. when the connection is restored.
+     */
+    flush() {
+      disconnectedChecks = 0;
+      entries.filter((entry) => !entry.failed).forEach((entry) => {
+        entry.nextAttemptAt = 0;
+      });
+      process();
+    },
+
+    /**
+     * Queues the failed actions again, with a fresh number of attempts.
+     */
+    retryFailed() {
+      entries.filter((entry) => entry.failed).forEach((entry) => {
+        Object.assign(entry, { attempts: 0, nextAttemptAt: 0, failed: false });
+      });
+      commit();
+      process();
+    },
+
+    /**
+     * Drops the failed actions.
+     */
+    clearFailed() {
+      entries = entries.filter((entry) => !entry.failed);
+      commit();
+    },
+
+    /**
+     * Stops sending. The queue stays persisted for the next start.
+     */
+    unsubscribe() {
+      active = false;
+      clearTimeout(timer);
+    },
+  };
+}
+
+/**
+ * Creates the receiving side of the outbox: it acknowledges the queued actions it receives
+ * and discards the ones already received, when an acknowledgement was lost and they were sent again.
+ * The received ids are persisted through the storage adapter, so a delivery sent again after a restart is discarded too.
+ * @param {function(Action): void} send - Sends a message to the other side.
+ * @param {object} [options]
+ * @param {StorageAdapter} [options.storage] - The storage adapter. If omitted, the ids are kept in memory only.
+ * @param {string} [options.key='rx-tiny-flux-outbox-received'] - The storage key.
+ * @returns {function(Action): boolean} Returns false if the message is a duplicated delivery, that must not be dispatched.
+ */
+export function createOutboxReceiver(send, options = {}) {
+  const { storage, key = 'rx-tiny-flux-outbox-received' } = options;
+
+  const load = () => {
+    try {
+      const raw = storage ? storage.getItem(key) : null;
+      const ids = raw ? JSON.parse(raw) : [];
+      return Array.isArray(ids) ? ids : [];
+    } catch (e) {
+      console.error('[rx-tiny-flux] createOutboxReceiver: could not load the received ids.', e);
+      return [];
+    }
+  };
+
+  const persist = () => {
+    if (storage) {
+      try {
+        storage.setItem(key, JSON.stringify(received));
+      } catch (e) {
+        console.error('[rx-tiny-flux] createOutboxReceiver: could not persist the received ids.', e);
+      }
+    }
+  };
+
+  const received = load();
+
+  return (message) => {
+    if (!message || message.outboxId === undefined) {
+      return true;
+    }
+
+    send(outboxAck({ outboxId: message.outboxId }));
+    if (received.includes(message.outboxId)) {
+      return false;
+    }
+    received.push(message.outboxId);
+    if (received.length > RECEIVED_IDS_MEMORY) {
+      received.shift();
+    }
+    persist();
+    return true;
+  };
+}
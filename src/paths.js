@@ -0,0 +1,76 @@
+/**
+ * Helpers to read and write nested state slices, addressed by a feature path.
+ * A path is a dotted string (`'settings.display'`) or an array of keys (`['settings', 'display']`).
+ * A leading `$` segment (as in `'$.settings'`) refers to the root and is ignored.
+ */
+
+/**
+ * Splits a feature path into its keys.
+ * @param {string|string[]} path
+ * @returns {string[]}
+ */
+export function toSegments(path) {
+  const segments = Array.isArray(path) ? path.slice() : String(path).split('.');
+  if (segments[0] === '$') {
+    segments.shift();
+  }
+  return segments;
+}
+
+/**
+ * Normalizes a feature path into its dotted form, e.g. `['settings', 'display']` into `'settings.display'`.
+ * @param {string|string[]} path
+ * @returns {string}
+ */
+export function toPath(path) {
+  return toSegments(path).join('.');
+}
+
+/**
+ * Reads the value at a path.
+ * @param {object} state
+ * @param {string|string[]} path
+ * @returns {any} The value, or undefined if any key along the path is missing.
+ */
+export function getIn(state, path) {
+  return toSegments(path).reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), state);
+}
+
+/**
+ * Writes a value at a path, copying the objects along the path and preserving all the other references.
+ * @param {object} state
+ * @param {string|string[]} path
+ * @param {any} value
+ * @returns {object} The new state, or the same state if the value was already there.
+ */
+export function setIn(state, path, value) {
+  const [key, ...rest] = toSegments(path);
+  const current = state === null || state === undefined ? {} : state;
+  const nextValue = rest.length === 0 ? value : setIn(current[key], rest, value);
+
+  if (current[key] === nextValue && key in current) {
+    return current;
+  }
+  return { ...current, [key]: nextValue };
+}
+
+/**
+ * Removes the value at a path, copying the objects along the path.
+ * @param {object} state
+ * @param {string|string[]} path
+ * @returns {object} The new state, or the same state if there was nothing to remove.
+ */
+export function removeIn(state, path) {
+  const [key, ...rest] = toSegments(path);
+  if (state === null || typeof state !== 'object' || !(key in state)) {
+    return state;
+  }
+
+  if (rest.length === 0) {
+    const { [key]: removed, ...nextState } = state;
+    return nextState;
+  }
+
+  const nextValue = removeIn(state[key], rest);
+  return nextValue === state[key] ? state : { ...state, [key]: nextValue };
+}
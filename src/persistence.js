@@ -0,0 +1,246 @@
+import { asyncScheduler } from 'rxjs';
+import { distinctUntilChanged, map, skip, throttleTime } from 'rxjs/operators';
+import { createAction } from './actions.js';
+import { getIn, removeIn, setIn } from './paths.js';
+
+/**
+ * @typedef {import('./types').Action} Action
+ */
+
+/**
+ * @typedef {object} StorageAdapter
+ * @property {function(string): (string|null|undefined)} getItem - Reads a value, returns `null`/`undefined` if missing.
+ * @property {function(string, string): void} setItem - Writes a value.
+ * @property {function(string): void} removeItem - Deletes a value.
+ */
+
+/**
+ * Action dispatched by `persistState` to load the persisted slices into the store.
+ * The persisted slices are carried in the `state` property.
+ */
+export const rehydrate = createAction('@rx-tiny-flux/rehydrate');
+
+/**
+ * Creates a storage adapter that keeps the values in memory. Useful for tests.
+ * @returns {StorageAdapter}
+ */
+export function createMemoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => { items.set(key, value); },
+    removeItem: (key) => { items.delete(key); },
+  };
+}
+
+/**
+ * Creates a storage adapter on top of a `localStorage`-like object, such as the browser
+ * `localStorage`, the ZeppOS `localStorage` from `@zos/storage` or the Side Service `settings.settingsStorage`.
+ * @param {{getItem: function(string): any, setItem: function(string, string): void, removeItem: function(string): void}} [storage]
+ *   The storage object. Defaults to the global `localStorage`.
+ * @returns {StorageAdapter}
+ */
+export function createWebStorage(storage = globalThis.localStorage) {
+  if (!storage) {
+    throw new Error('[rx-tiny-flux] createWebStorage: no localStorage-like object available.');
+  }
+  return {
+    getItem: (key) => storage.getItem(key),
+    setItem: (key, value) => storage.setItem(key, value),
+    removeItem: (key) => storage.removeItem(key),
+  };
+}
+
+/**
+ * Creates a storage adapter that writes each key to a file, using the ZeppOS `@zos/fs` module.
+ * @param {object} fs - The `@zos/fs` module (or an object with the same `readFileSync`, `writeFileSync` and `rmSync` functions).
+ * @param {string} [prefix=''] - A prefix added to the file names.
+ * @returns {StorageAdapter}
+ */
+export function createZeppFileStorage(fs, prefix = '') {
+  const options = { encoding: 'utf8' };
+  return {
+    getItem: (key) => {
+      try {
+        return fs.readFileSync({ path: prefix + key, options });
+      } catch (e) {
+        // A missing file is just a missing value.
+        return null;
+      }
+    },
+    setItem: (key, value) => { fs.writeFileSync({ path: prefix + key, data: value, options }); },
+    removeItem: (key) => { fs.rmSync({ path: prefix + key }); },
+  };
+}
+
+/**
+ * Returns whether a value is a plain object (and not an array, null, etc.).
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * Meta-reducer that merges the rehydrated slices into the state.
+ * The slices are the ones at the `paths` of the action (feature keys or nested paths such as
+ * `'settings.display'`), or else the top-level keys of its `state`.
+ * Plain object slices are shallowly merged, so properties added to a reducer's
+ * `initialState` after the state was persisted keep their default value.
+ * @param {function(object, Action): object} reducer
+ * @returns {function(object, Action): object}
+ */
+function rehydrateMetaReducer(reducer) {
+  return (state, action) => {
+    if (action.type !== rehydrate.type || !action.state) {
+      return reducer(state, action);
+    }
+
+    const paths = action.paths || Object.keys(action.state);
+    const nextState = paths.reduce((merged, path) => {
+      const current = getIn(state, path);
+      const persisted = getIn(action.state, path);
+      if (persisted === undefined) {
+        return merged;
+      }
+      return setIn(merged, path, isPlainObject(current) && isPlainObject(persisted) ? { ...current, ...persisted } : persisted);
+    }, state);
+
+    return reducer(nextState, action);
+  };
+}
+
+/**
+ * Enables the persistence of the store state through a storage adapter.
+ *
+ * The persisted state is read synchronously and loaded with the `rehydrate` action,
+ * so call this function after registering the reducers and before registering the effects.
+ * After that, the selected feature slices are written on each change, at most once per `throttle` milliseconds.
+ *
+ * @param {import('./store').Store} store - The store to persist.
+ * @param {object} config - The configuration object.
+ * @param {StorageAdapter} config.storage - The storage adapter.
+ * @param {string} [config.key='rx-tiny-flux'] - The storage key.
+ * @param {Array<string|string[]>} [config.whitelist] - The feature keys to persist, which may be nested paths such as
+ *   `'settings.display'`. If omitted, all the top-level feature keys are persisted.
+ * @param {Array<string|string[]>} [config.blacklist] - The feature keys (or nested paths) to never persist.
+ * @param {number} [config.throttle=500] - The minimum interval between writes, in milliseconds. `0` writes on every change.
+ * @param {number} [config.version=0] - The version of the persisted shape.
+ * @param {Object<number, function(object): object>} [config.migrations] - Functions that migrate the persisted state
+ *   to the version of their key. They run in ascending order, from the stored version to the current one.
+ * @returns {{flush: function(): void, purge: function(): void, unsubscribe: function(): void}}
+ *   A handle to force a write, to delete the persisted state, or to stop the persistence.
+ */
+export function persistState(store, config) {
+  const {
+    storage,
+    key = 'rx-tiny-flux',
+    whitelist,
+    blacklist = [],
+    throttle = 500,
+    version = 0,
+    migrations = {},
+  } = config || {};
+
+  if (!storage) {
+    throw new Error('[rx-tiny-flux] persistState: a storage adapter must be provided.');
+  }
+
+  /**
+   * Returns the paths of the slices to persist.
+   * @param {object} state
+   * @returns {Array<string|string[]>}
+   */
+  const pathsOf = (state) => whitelist || Object.keys(state);
+
+  /**
+   * Picks the feature slices that must be persisted, keeping their nesting.
+   * @param {object} state
+   * @returns {object}
+   */
+  const pick = (state) => {
+    const picked = pathsOf(state).reduce((result, path) => {
+      const value = getIn(state, path);
+      return value === undefined ? result : setIn(result, path, value);
+    }, {});
+    return blacklist.reduce((result, path) => removeIn(result, path), picked);
+  };
+
+  /**
+   * Reads and migrates the persisted state. Returns null if there is nothing usable.
+   * @returns {object|null}
+   */
+  const load = () => {
+    try {
+      const raw = storage.getItem(key);
+      if (raw === null || raw === undefined || raw === '') {
+        return null;
+      }
+
+      const persisted = JSON.parse(raw);
+      let state = persisted.state;
+      const storedVersion = persisted.version || 0;
+
+      if (storedVersion > version) {
+        console.error(`[rx-tiny-flux] persistState: persisted version ${storedVersion} is newer than ${version}, ignoring it.`);
+        return null;
+      }
+
+      Object.keys(migrations)
+        .map(Number)
+        .filter((v) => v > storedVersion && v <= version)
+        .sort((a, b) => a - b)
+        .forEach((v) => {
+          state = migrations[v](state);
+        });
+
+      return pick(state || {});
+    } catch (e) {
+      // A corrupted or incompatible state must never prevent the app from starting.
+      console.error('[rx-tiny-flux] persistState: could not rehydrate the state.', e);
+      return null;
+    }
+  };
+
+  /**
+   * Writes the picked feature slices.
+   * @param {object} picked
+   */
+  const write = (picked) => {
+    try {
+      storage.setItem(key, JSON.stringify({ version, state: picked }));
+    } catch (e) {
+      console.error('[rx-tiny-flux] persistState: could not persist the state.', e);
+    }
+  };
+
+  store.registerMetaReducers(rehydrateMetaReducer);
+
+  const persisted = load();
+  if (persisted) {
+    store.dispatch(rehydrate({ state: persisted, paths: pathsOf(persisted) }));
+  }
+
+  const changes$ = store._state$.pipe(
+    // The current state was just loaded (or is the initial one), there is no need to write it back.
+    skip(1),
+    // Only write when one of the persisted slices has a new reference.
+    distinctUntilChanged((a, b) => {
+      const paths = pathsOf(a);
+      return paths.length === pathsOf(b).length && paths.every((path) => getIn(a, path) === getIn(b, path));
+    }),
+    map(pick)
+  );
+
+  const subscription = (throttle > 0
+    ? changes$.pipe(throttleTime(throttle, asyncScheduler, { leading: true, trailing: true }))
+    : changes$
+  ).subscribe(write);
+
+  return {
+    flush: () => write(pick(store._state$.getValue())),
+    purge: () => storage.removeItem(key),
+    unsubscribe: () => subscription.unsubscribe(),
+  };
+}
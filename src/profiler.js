@@ -0,0 +1,181 @@
+import { Observable, Subject } from 'rxjs';
+
+/**
+ * @typedef {import('./types').Action} Action
+ */
+
+/**
+ * @typedef {object} ProfilerHooks
+ *   What the store calls while it is profiled.
+ * @property {function(): number} now
+ * @property {function(Action): void} actionStart - Called before an action is reduced.
+ * @property {function(Action): void} actionEnd - Called once the new state was emitted to the selectors.
+ * @property {function(string|string[], number): void} reducer - Called with the feature key and the duration of its reducer.
+ * @property {function(Function, number): void} recomputed - Called with a selector run by the store that recomputed,
+ *   and the duration of its projection.
+ * @property {function(Function, import('rxjs').Observable<any>): import('rxjs').Observable<any>} trackSelect
+ *   Wraps a `select` stream to count its subscribers.
+ */
+
+/**
+ * @typedef {object} ActionProfile
+ * @property {string} type - The action type.
+ * @property {number} duration - From the start of the reduction to the last selector notified, in milliseconds.
+ * @property {Object<string, number>} reducers - The duration of each feature reducer.
+ * @property {Object<string, {recomputations: number, duration: number}>} selectors - The selectors that recomputed.
+ */
+
+/**
+ * @typedef {object} ProfileReport
+ * @property {number} actions - The number of actions profiled.
+ * @property {Object<string, {calls: number, totalDuration: number, maxDuration: number}>} reducers
+ * @property {Object<string, {recomputations: number, totalDuration: number, maxDuration: number}>} selectors
+ * @property {Object<string, number>} subscribers - The number of live `select` subscriptions of each selector.
+ */
+
+const defaultNow = () => (typeof performance !== 'undefined' && typeof performance.now === 'function' ? performance.now() : Date.now());
+
+/**
+ * Adds a duration to the statistics of an entry.
+ * @param {Object<string, object>} stats
+ * @param {string} name
+ * @param {string} countKey
+ * @param {number} duration
+ */
+function record(stats, name, countKey, duration) {
+  const entry = stats[name] || (stats[name] = { [countKey]: 0, totalDuration: 0, maxDuration: 0 });
+  entry[countKey]++;
+  entry.totalDuration += duration;
+  entry.maxDuration = Math.max(entry.maxDuration, duration);
+}
+
+/**
+ * Profiles a store: the duration of the feature reducers for each action, the recomputations of the
+ * selectors created with `createSelector` and their duration, and the number of subscribers of `select`.
+ *
+ * The totals are returned by `report()`, and the profile of each action is emitted by `profile$` once
+ * its new state was emitted to the selectors. The recomputations that happen outside of a dispatch,
+ * e.g. when a page subscribes, only count in the totals. Only the `select` streams created while
+ * profiling are counted.
+ *
+ * Only the selectors run by this store, with `select`, `selectSnapshot` or `selectSignal`, are counted:
+ * the other stores, and the selectors called directly with a state, are not.
+ *
+ * Selectors are reported by name: give their names with the `selectors` option, otherwise the name of
+ * the projection function is used. Profiling adds some overhead, so it is meant for development and tests.
+ *
+ * @param {import('./store').Store} store
+ * @param {object} [config]
+ * @param {Object<string, Function>} [config.selectors] - The selectors to report by name, e.g. `{ selectVisibleItems }`.
+ * @param {function(): number} [config.now] - The clock, in milliseconds. Defaults to `performance.now()` or `Date.now()`.
+ * @returns {{
+ *   report: function(): ProfileReport,
+ *   reset: function(): void,
+ *   profile$: import('rxjs').Observable<ActionProfile>,
+ *   unsubscribe: function(): void
+ * }}
+ */
+export function profileStore(store, config) {
+  const { selectors = {}, now = defaultNow } = config || {};
+
+  if (store._profiler) {
+    throw new Error('[rx-tiny-flux] profileStore: the store is already profiled.');
+  }
+
+  const names = new Map(Object.keys(selectors).map((name) => [selectors[name], name]));
+  const nameOf = (selectorFn) =>
+    names.get(selectorFn) || (selectorFn.projector && selectorFn.projector.name) || selectorFn.name || 'anonymous selector';
+  const keyOf = (featureKey) => (Array.isArray(featureKey) ? featureKey.join('.') : featureKey);
+
+  const profile$ = new Subject();
+  let totals;
+  // The actions being profiled: an action dispatched while another one is emitted is nested in it.
+  let open = [];
+
+  const reset = () => {
+    totals = { actions: 0, reducers: {}, selectors: {} };
+  };
+  reset();
+  const subscribers = {};
+
+  /** @type {ProfilerHooks} */
+  const hooks = {
+    now,
+
+    actionStart(action) {
+      open.push({ action, start: now(), profile: { type: action.type, duration: 0, reducers: {}, selectors: {} } });
+    },
+
+    actionEnd(action) {
+      const index = open.findIndex((entry) => entry.action === action);
+      if (index === -1) {
+        return;
+      }
+      const [{ start, profile }] = open.splice(index, 1);
+      profile.duration = now() - start;
+      totals.actions++;
+      profile$.next(profile);
+    },
+
+    reducer(featureKey, duration) {
+      const key = keyOf(featureKey);
+      record(totals.reducers, key, 'calls', duration);
+      if (open.length > 0) {
+        const { reducers } = open[open.length - 1].profile;
+        reducers[key] = (reducers[key] || 0) + duration;
+      }
+    },
+
+    recomputed(selectorFn, duration) {
+      const name = nameOf(selectorFn);
+      record(totals.selectors, name, 'recomputations', duration);
+      if (open.length > 0) {
+        const { selectors: recomputed } = open[open.length - 1].profile;
+        const entry = recomputed[name] || (recomputed[name] = { recomputations: 0, duration: 0 });
+        entry.recomputations++;
+        entry.duration += duration;
+      }
+    },
+
+    trackSelect(selectorFn, selected$) {
+      const name = nameOf(selectorFn);
+      return new Observable((subscriber) => {
+        subscribers[name] = (subscribers[name] || 0) + 1;
+        const subscription = selected$.subscribe(subscriber);
+        return () => {
+          subscription.unsubscribe();
+          subscribers[name]--;
+        };
+      });
+    },
+  };
+
+  store._profiler = hooks;
+
+  return {
+    /**
+     * Returns the totals since the profiling started or was reset.
+     */
+    report() {
+      return JSON.parse(JSON.stringify({ ...totals, subscribers }));
+    },
+
+    /**
+     * Clears the totals. The subscriber counts are kept, as they count live subscriptions.
+     */
+    reset,
+
+    profile$: profile$.asObservable(),
+
+    /**
+     * Stops profiling.
+     */
+    unsubscribe() {
+      if (store._profiler === hooks) {
+        store._profiler = null;
+      }
+      open = [];
+      profile$.complete();
+    },
+  };
+}
@@ -1,3 +1,5 @@
+import { toPath } from './paths.js';
+
 /**
  * @typedef {import('./types').Action} Action
  */
@@ -30,16 +32,18 @@ export function on(...args) {
 
 /**
  * Factory function to create a reducer.
- * A reducer is associated with a key that defines which top-level property of the state it manages.
+ * A reducer is associated with a key that defines which property of the state it manages.
+ * The key may be a nested path, as a dotted string (`'settings.display'`) or an array of keys.
  *
- * @param {string} featureKey - The key for the state slice this reducer manages.
+ * @param {string|string[]} featureKey - The key (or path) for the state slice this reducer manages.
  * @param {any} initialState - The initial state for this state slice.
  * @param  {...{ types: string[], reducerFn: function(any, Action): any }} ons - A list of handlers created with the `on` function.
  * @returns {{path: string, initialState: any, reducerFn: function(any, Action): any}} The reducer object.
  */
 export function createReducer(featureKey, initialState, ...ons) {
-  if (!featureKey || typeof featureKey !== 'string') {
-    throw new Error('Reducer featureKey must be a non-empty string.');
+  const isPath = Array.isArray(featureKey) && featureKey.length > 0 && featureKey.every(key => key && typeof key === 'string');
+  if (!isPath && (!featureKey || typeof featureKey !== 'string')) {
+    throw new Error('Reducer featureKey must be a non-empty string or an array of keys.');
   }
 
   // Separates specific handlers from generic (catch-all) ones.
@@ -63,5 +67,48 @@ export function createReducer(featureKey, initialState, ...ons) {
     return state;
   };
 
-  return { path: featureKey, initialState, reducerFn };
+  return { path: toPath(featureKey), initialState, reducerFn };
+}
+
+/**
+ * Composes child reducers into a single reducer managing an object slice, one property per child.
+ * The slice keeps its reference as long as no child returns a new value.
+ *
+ * @param {string|string[]} featureKey - The key (or path) for the state slice.
+ * @param {Object<string, ({initialState: any, reducerFn: function(any, Action): any}|function(any, Action): any)>} reducers -
+ *   The child reducers keyed by property: reducers created with `createReducer` (their own key is ignored),
+ *   other combined reducers, or plain reducer functions (their initial state is the result of reducing `undefined`).
+ * @returns {{path: string, initialState: object, reducerFn: function(object, Action): object}} The reducer object.
+ */
+export function combineReducers(featureKey, reducers) {
+  const keys = Object.keys(reducers);
+  const children = keys.map((key) => {
+    const reducer = reducers[key];
+    return typeof reducer === 'function'
+      ? { key, reducerFn: reducer, initialState: reducer(undefined, { type: '@rx-tiny-flux/init' }) }
+      : { key, reducerFn: reducer.reducerFn, initialState: reducer.initialState };
+  });
+
+  const initialState = children.reduce((state, { key, initialState: childState }) => {
+    state[key] = childState;
+    return state;
+  }, {});
+
+  const reducerFn = (state = initialState, action) => {
+    let nextState = state;
+    children.forEach(({ key, reducerFn: childReducer }) => {
+      const childState = state[key];
+      const nextChildState = childReducer(childState, action);
+      if (nextChildState !== childState) {
+        // Copy the slice once, on the first changed child.
+        if (nextState === state) {
+          nextState = { ...state };
+        }
+        nextState[key] = nextChildState;
+      }
+    });
+    return nextState;
+  };
+
+  return createReducer(featureKey, initialState, on(anyAction, reducerFn));
 }
\ No newline at end of file
@@ -0,0 +1,193 @@
+import { defer, from, isObservable, NEVER, of } from 'rxjs';
+import { catchError, filter, map, mergeMap, take, takeUntil, tap, throwIfEmpty } from 'rxjs/operators';
+import { createAction } from './actions.js';
+
+/**
+ * @typedef {import('./types').Action} Action
+ */
+
+/**
+ * The default time, in milliseconds, to wait for the response to a request.
+ */
+const DEFAULT_REQUEST_TIMEOUT = 10000;
+
+/**
+ * The response to a request that failed or timed out. It carries the `requestType`, the
+ * `correlationId` of the request and a serializable `error` ({ name, message }).
+ */
+export const requestFailure = createAction('@rx-tiny-flux/request-failure');
+
+/**
+ * Dispatched when a pending request is cancelled, because the page that sent it was destroyed.
+ * It is also sent to the other side, so the responder can stop working on it.
+ * It carries the `requestType` and the `correlationId` of the request.
+ */
+export const requestCancel = createAction('@rx-tiny-flux/request-cancel');
+
+let lastCorrelationId = 0;
+
+/**
+ * Creates an identifier for a request, unique for the lifetime of the app.
+ * @returns {string}
+ */
+function createCorrelationId() {
+  lastCorrelationId++;
+  return `${Date.now().toString(36)}-${lastCorrelationId.toString(36)}`;
+}
+
+/**
+ * Removes the `context` of an action before it is sent through messaging.
+ * @param {Action} action
+ * @returns {Action}
+ */
+function withoutContext(action) {
+  const { context, ...message } = action;
+  return message;
+}
+
+/**
+ * Converts an error into the serializable form carried by `requestFailure`.
+ * @param {any} error
+ * @returns {{name: string, message: string}}
+ */
+function toSerializableError(error) {
+  const { name = 'Error', message = String(error) } = error instanceof Error ? error : {};
+  return { name, message };
+}
+
+/**
+ * Creates the requesting side of the request/response protocol, used by the `storePlugin`.
+ *
+ * A request is an action sent with a `correlationId`. The response is any action carrying the
+ * same `correlationId`: it is delivered to the component that sent the request, unless the
+ * request timed out or was cancelled before, in which case it is discarded.
+ *
+ * @param {object} config
+ * @param {function(Action): void} config.send - Sends a message to the other side.
+ * @param {function(Action, object): void} config.deliver - Dispatches an outcome action on behalf of the requesting component.
+ * @returns {{
+ *   request: function(Action, {timeout?: number, owner?: object}=): Promise<Action>,
+ *   handleResponse: function(Action): boolean,
+ *   cancel: function(object=): void
+ * }}
+ */
+export function createRequester({ send, deliver }) {
+  /** @type {Map<string, {type: string, owner: object, timer: any, resolve: function(Action): void}>} */
+  const pending = new Map();
+
+  const settle = (correlationId, outcome) => {
+    const entry = pending.get(correlationId);
+    pending.delete(correlationId);
+    clearTimeout(entry.timer);
+    deliver(outcome, entry.owner);
+    entry.resolve(outcome);
+  };
+
+  return {
+    /**
+     * Sends a request. The returned promise resolves with its outcome: the response, a
+     * `requestFailure` if it timed out, or a `requestCancel` if it was cancelled.
+     * The outcome is also dispatched to the store on behalf of the `owner`.
+     */
+    request(action, { timeout = DEFAULT_REQUEST_TIMEOUT, owner } = {}) {
+      const correlationId = createCorrelationId();
+      const message = { ...withoutContext(action), correlationId };
+
+      return new Promise((resolve) => {
+        const timer = setTimeout(() => {
+          settle(correlationId, requestFailure({
+            requestType: action.type,
+            correlationId,
+            error: { name: 'TimeoutError', message: `No response to '${action.type}' after ${timeout}ms.` },
+          }));
+        }, timeout);
+
+        // Registered before sending, in case the response arrives synchronously.
+        pending.set(correlationId, { type: action.type, owner, timer, resolve });
+        send(message);
+      });
+    },
+
+    /**
+     * Delivers a received message if it is the response to a pending request.
+     * Returns true if the message was a response (even a late one), so it is not dispatched again.
+     */
+    handleResponse(message) {
+      if (!message || message.correlationId === undefined) {
+        return false;
+      }
+      if (pending.has(message.correlationId)) {
+        settle(message.correlationId, message);
+      }
+      // The late responses, to requests that timed out or were cancelled, are discarded.
+      return true;
+    },
+
+    /**
+     * Cancels the pending requests of an owner, or all of them.
+     */
+    cancel(owner) {
+      Array.from(pending.entries())
+        .filter(([, entry]) => owner === undefined || entry.owner === owner)
+        .forEach(([correlationId, entry]) => {
+          const cancel = requestCancel({ requestType: entry.type, correlationId });
+          send(cancel);
+          settle(correlationId, cancel);
+        });
+    },
+  };
+}
+
+/**
+ * A pipeable RxJS operator for effects on the responding side (usually the Side Service).
+ * For each request (an action with a `correlationId`), it runs the handler and sends the response
+ * back through `context.call`, with the same `correlationId`. A request without a `context` is
+ * answered, but the response is not sent.
+ *
+ * The handler returns the response action, directly, as a promise or as an observable (its first
+ * value is used). If it throws, rejects or gives no action, a failure is sent instead. The work is abandoned if the
+ * requester cancels the request.
+ *
+ * The operator emits the responses that were sent, so it is usually used in an effect
+ * created with `{ dispatch: false }`.
+ *
+ * @param {function(Action): (Action|Promise<Action>|import('rxjs').Observable<Action>)} handler
+ * @param {object} [options]
+ * @param {function(any, Action): Action} [options.failure] - Creates the failure response from the error and the request.
+ *   Defaults to a `requestFailure` action.
+ * @returns {import('rxjs').OperatorFunction<Action, Action>}
+ */
+export const respond = (handler, options = {}) => (source$) => source$.pipe(
+  filter(request => request.correlationId !== undefined && request.type !== requestCancel.type),
+  mergeMap((request) => {
+    const { correlationId, context } = request;
+    const toFailure = options.failure || ((error) => requestFailure({ requestType: request.type, error: toSerializableError(error) }));
+    const cancelled$ = context && context._store
+      ? context._store.actions$.pipe(filter(action => action.type === requestCancel.type && action.correlationId === correlationId))
+      : NEVER;
+
+    return defer(() => {
+      const response = handler(request);
+      return isObservable(response) || (response && typeof response.then === 'function') ? from(response) : of(response);
+    }).pipe(
+      take(1),
+      // A handler giving no response action fails the request, rather than leaving the requester waiting.
+      throwIfEmpty(() => new Error(`[rx-tiny-flux] respond: no response to '${request.type}'.`)),
+      map((response) => {
+        if (!response || typeof response.type !== 'string') {
+          throw new Error(`[rx-tiny-flux] respond: the response to '${request.type}' is not an action.`);
+        }
+        return response;
+      }),
+      catchError(error => of(toFailure(error, request))),
+      map(response => ({ ...withoutContext(response), correlationId })),
+      tap((response) => {
+        if (context && typeof context.call === 'function') {
+          context.debug(`Responding '${response.type}' to '${request.type}' through messaging.call(action).`);
+          context.call(response);
+        }
+      }),
+      takeUntil(cancelled$)
+    );
+  })
+);
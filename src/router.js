@@ -0,0 +1,139 @@
+import { tap } from 'rxjs/operators';
+import { createAction } from './actions.js';
+import { createEffect, ofType } from './effects.js';
+import { createReducer, on } from './reducers.js';
+import { createFeatureSelector, createSelector } from './selectors.js';
+
+/**
+ * @typedef {object} RouteEntry
+ * @property {number} id - Identifies the page instance in the stack.
+ * @property {string|null} url - The page path, e.g. `'page/detail'`.
+ * @property {any} params - The params the page was opened with.
+ */
+
+/**
+ * @typedef {object} RouterState
+ * @property {RouteEntry[]} stack - The open pages, the current one last.
+ * @property {{url: string, params: any}|null} pending - The navigation requested with `navigateTo`, until the page opens.
+ */
+
+/**
+ * @typedef {object} NavigationAdapter
+ * @property {function({url: string, params: any}): void} push - Opens a page.
+ * @property {function(): void} back - Closes the current page.
+ */
+
+/**
+ * The feature key of the router slice.
+ */
+const ROUTER_FEATURE_KEY = 'router';
+
+/**
+ * Opens a page. It carries the `url` of the page and its optional `params`.
+ */
+export const navigateTo = createAction('@rx-tiny-flux/navigate-to');
+
+/**
+ * Closes the current page.
+ */
+export const back = createAction('@rx-tiny-flux/back');
+
+/**
+ * Dispatched by the `storePlugin` when a page is initialized, with its `id`, `url` and `params`.
+ * The `url` defaults to the one requested by the last `navigateTo`.
+ */
+export const routerPageEnter = createAction('@rx-tiny-flux/router-page-enter');
+
+/**
+ * Dispatched by the `storePlugin` when a page is destroyed, with its `id`.
+ */
+export const routerPageLeave = createAction('@rx-tiny-flux/router-page-leave');
+
+/**
+ * The reducer of the router slice, registered by the `storePlugin` when the `router` option is set.
+ */
+export const routerReducer = createReducer(
+  ROUTER_FEATURE_KEY,
+  /** @type {RouterState} */ ({ stack: [], pending: null }),
+  on(navigateTo, (state, { url, params = null }) => ({ ...state, pending: { url, params } })),
+  on(routerPageEnter, (state, { id, url, params }) => {
+    const pending = state.pending || { url: null, params: null };
+    const entry = {
+      id,
+      url: url || pending.url,
+      params: params !== undefined && params !== null ? params : pending.params,
+    };
+    return { stack: [...state.stack, entry], pending: null };
+  }),
+  on(routerPageLeave, (state, { id }) => {
+    const stack = state.stack.filter(entry => entry.id !== id);
+    return stack.length === state.stack.length ? state : { ...state, stack };
+  })
+);
+
+/**
+ * Selects the router slice.
+ */
+export const selectRouter = createFeatureSelector(ROUTER_FEATURE_KEY);
+
+/**
+ * Selects the current page entry, `{ id, url, params }`, or null.
+ */
+export const selectCurrentRoute = createSelector(selectRouter, (router) => (router && router.stack.length > 0 ? router.stack[router.stack.length - 1] : null));
+
+/**
+ * Selects the path of the current page, or null.
+ */
+export const selectCurrentPage = createSelector(selectCurrentRoute, (route) => (route ? route.url : null));
+
+/**
+ * Selects the params of the current page, or null.
+ */
+export const selectRouteParams = createSelector(selectCurrentRoute, (route) => (route ? route.params : null));
+
+/**
+ * Creates the effects performing the `navigateTo` and `back` actions through a navigation adapter.
+ * The `storePlugin` registers them when the `router` option is set.
+ * @param {NavigationAdapter} adapter
+ * @returns {object} An effect group.
+ */
+export function createRouterEffects(adapter) {
+  return {
+    navigateTo$: createEffect((actions$) => actions$.pipe(
+      ofType(navigateTo),
+      tap(({ url, params }) => adapter.push({ url, params }))
+    ), { dispatch: false }),
+
+    back$: createEffect((actions$) => actions$.pipe(
+      ofType(back),
+      tap(() => adapter.back())
+    ), { dispatch: false }),
+  };
+}
+
+/**
+ * Creates a navigation adapter on top of the ZeppOS `@zos/router` module. The params are passed
+ * to the page as a JSON string, which the `storePlugin` parses back.
+ * @param {object} router - The `@zos/router` module (or an object with the same `push` and `back` functions).
+ * @returns {NavigationAdapter}
+ */
+export function createZeppRouterAdapter(router) {
+  return {
+    push: ({ url, params }) => router.push(params === undefined || params === null ? { url } : { url, params: JSON.stringify(params) }),
+    back: () => router.back(),
+  };
+}
+
+/**
+ * Creates a navigation adapter that records the navigations in memory. Useful in Node and in tests.
+ * @returns {NavigationAdapter & {history: Array<{url: string, params: any}>}} The adapter, with the
+ *   `history` of the open pages, the current one last.
+ */
+export function createMemoryRouterAdapter() {
+  const history = [];
+  return {
+    history,
+    push: ({ url, params = null }) => { history.push({ url, params }); },
+    back: () => { history.pop(); },
+  };
+}
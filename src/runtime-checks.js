@@ -0,0 +1,149 @@
+/**
+ * @typedef {object} RuntimeChecks
+ * @property {boolean} [stateImmutability] - Deep-freezes the state, so a mutation in a reducer throws.
+ * @property {boolean} [actionImmutability] - Deep-freezes the dispatched actions.
+ * @property {boolean} [stateSerializability] - Reports non-serializable values in the state.
+ * @property {boolean} [actionSerializability] - Reports non-serializable values in the dispatched actions.
+ */
+
+/**
+ * The error raised when a runtime check fails.
+ */
+export class RuntimeCheckError extends Error {
+  /**
+   * @param {string} message
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'RuntimeCheckError';
+  }
+}
+
+/**
+ * Returns whether a value is a plain object (and not a class instance, a Date, etc.).
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  if (value === null || typeof value !== 'object') {
+    return false;
+  }
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Recursively freezes an object. The `context` property attached by the `storePlugin`
+ * holds a component instance, so it is skipped.
+ * @template T
+ * @param {T} target
+ * @returns {T} The same object, frozen.
+ */
+export function deepFreeze(target) {
+  if (target === null || typeof target !== 'object' || Object.isFrozen(target)) {
+    return target;
+  }
+
+  Object.freeze(target);
+  Object.keys(target).forEach((key) => {
+    if (key !== 'context') {
+      deepFreeze(target[key]);
+    }
+  });
+  return target;
+}
+
+/**
+ * Finds the first non-serializable value (function, Date, class instance, symbol...) in a value.
+ * The `context` property attached by the `storePlugin` is ignored.
+ * @param {any} value
+ * @param {string} [path=''] - The path of the value, used in the result.
+ * @returns {{path: string, value: any}|null} The path and value of the first offending value, or null.
+ */
+export function findNonSerializable(value, path = '') {
+  const type = typeof value;
+  if (value === null || value === undefined || type === 'string' || type === 'boolean' || (type === 'number' && Number.isFinite(value))) {
+    return null;
+  }
+
+  if (!Array.isArray(value) && !isPlainObject(value)) {
+    return { path: path || '(root)', value };
+  }
+
+  for (const key of Object.keys(value)) {
+    if (key === 'context') {
+      continue;
+    }
+    const found = findNonSerializable(value[key], path ? `${path}.${key}` : key);
+    if (found) {
+      return found;
+    }
+  }
+  return null;
+}
+
+/**
+ * Describes a value in an error message.
+ * @param {any} value
+ * @returns {string}
+ */
+function describe(value) {
+  if (typeof value === 'function') {
+    return 'a function';
+  }
+  if (value && typeof value === 'object') {
+    return `an instance of ${value.constructor ? value.constructor.name : 'an unknown class'}`;
+  }
+  return String(value);
+}
+
+/**
+ * Checks a dispatched action, freezing it or throwing a `RuntimeCheckError` if it is not serializable.
+ * @param {import('./types').Action} action
+ * @param {RuntimeChecks} checks
+ */
+export function checkAction(action, checks) {
+  if (checks.actionSerializability) {
+    const found = findNonSerializable(action);
+    if (found) {
+      throw new RuntimeCheckError(`[rx-tiny-flux] Action '${action.type}' has a non-serializable value at '${found.path}': ${describe(found.value)}.`);
+    }
+  }
+  if (checks.actionImmutability) {
+    deepFreeze(action);
+  }
+}
+
+/**
+ * Checks a state slice returned by a reducer, freezing it or throwing a `RuntimeCheckError` if it is not serializable.
+ * @param {any} slice
+ * @param {string} featureKey - The reducer that returned the slice.
+ * @param {import('./types').Action} action - The action that was reduced.
+ * @param {RuntimeChecks} checks
+ */
+export function checkState(slice, featureKey, action, checks) {
+  if (checks.stateSerializability) {
+    const found = findNonSerializable(slice, featureKey);
+    if (found) {
+      throw new RuntimeCheckError(`[rx-tiny-flux] Reducer '${featureKey}' put a non-serializable value at '${found.path}' on action '${action.type}': ${describe(found.value)}.`);
+    }
+  }
+  if (checks.stateImmutability) {
+    deepFreeze(slice);
+  }
+}
+
+/**
+ * Wraps an error thrown by a reducer while the state is frozen, reporting the reducer and action
+ * if it was caused by a mutation.
+ * @param {Error} error
+ * @param {string} featureKey
+ * @param {import('./types').Action} action
+ * @returns {Error}
+ */
+export function reportMutation(error, featureKey, action) {
+  if (error instanceof TypeError && /read[- ]only|frozen|not extensible|Cannot (add|assign|delete|define)/i.test(error.message)) {
+    return new RuntimeCheckError(`[rx-tiny-flux] Reducer '${featureKey}' mutated the state on action '${action.type}': ${error.message}`);
+  }
+  return error;
+}
@@ -0,0 +1,73 @@
+import type { Observable } from 'rxjs';
+import type { TestScheduler } from 'rxjs/testing';
+import { Store, Action } from './rx-tiny-flux';
+
+/**
+ * A store for tests, with a settable state and overridable selectors.
+ */
+export class MockStore extends Store {
+  constructor(config?: { initialState?: object; selectors?: Array<{ selector: Function; value: any }> });
+  dispatchedActions: Action[];
+  setState(state: object): void;
+  overrideSelector<T>(selector: (state: object, ...props: any[]) => T, value: T): void;
+  resetSelectors(): void;
+  refreshState(): void;
+}
+
+/**
+ * Converts mock actions (an observable, an array or a single action) into an actions stream.
+ */
+export function provideMockActions(source: Observable<Action> | Action[] | Action): Observable<Action>;
+
+/**
+ * Runs an effect against mock actions and returns its output stream.
+ */
+export function runEffect<T = Action>(effectFn: (actions: Observable<Action>) => Observable<T>, actions: Observable<Action> | Action[] | Action): Observable<T>;
+
+/**
+ * Creates an RxJS `TestScheduler` for marble tests.
+ */
+export function createTestScheduler(assertDeepEqual?: (actual: any, expected: any) => void): TestScheduler;
+
+/**
+ * A fake ZeppOS component instance.
+ */
+export interface MockContext {
+  _store?: Store;
+  calls: any[];
+  logs: string[];
+  call(data: any): void;
+  debug(message: string): void;
+  messaging: {
+    onCall(handler: (data: any) => void): void;
+    offOnCall(handler: (data: any) => void): void;
+    receive(data: any): void;
+  };
+  [key: string]: any;
+}
+
+/**
+ * Creates a fake ZeppOS component instance (App, Page or Side Service).
+ */
+export function createMockContext(overrides?: object): MockContext;
+
+/**
+ * A link between two fake instances. Calling it removes the link.
+ */
+export interface MockLink {
+  (): void;
+  /** Drops the messages until `reconnect` is called. */
+  disconnect(): void;
+  reconnect(): void;
+  isConnected(): boolean;
+}
+
+/**
+ * Connects two fake instances so that `call` on one is received by the other.
+ */
+export function linkMockContexts(first: MockContext, second: MockContext, options?: { latency?: number }): MockLink;
+
+/**
+ * Installs the `getApp` and `messaging` ZeppOS globals. Returns a function restoring them.
+ */
+export function mockZeppEnvironment(config?: { app?: object; sideService?: boolean }): () => void;
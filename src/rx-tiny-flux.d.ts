@@ -1,4 +1,4 @@
-import type { OperatorFunction, Subscription, Observable } from 'rxjs';
+import type { OperatorFunction, Subscription, Observable, SchedulerLike } from 'rxjs';
 
 export * from 'rxjs';
 
@@ -20,6 +20,11 @@ export interface StorePage {
    */
   dispatch(action: Action): void;
 
+  /**
+   * Dispatches an action and resolves with the new state once the reducers ran.
+   */
+  dispatchAsync(action: Action): Promise<object>;
+
   /**
    * Subscribes to a slice of the store's state. The subscription is auto-managed.
    */
@@ -42,29 +47,221 @@ export interface StorePage {
     callback: (action: Action) => void
   ): void;
 
+  /**
+   * Sends an action to the Side Service as a request, and resolves with its response
+   * (or a `requestFailure`/`requestCancel` action). The response is also dispatched to the store.
+   */
+  requestAction(action: Action, options?: { timeout?: number }): Promise<Action>;
+
+  /**
+   * Creates the local store of the Page, destroyed with the Page.
+   */
+  createLocalStore<S extends object>(initialState?: S, config?: StoreConfig): ComponentStore<S>;
+
+  /**
+   * The local store of the Page, if it was created.
+   */
+  localStore: ComponentStore<any> | null;
+
+  /**
+   * Subscribes to a value selected from both the local and global states. The subscription is auto-managed.
+   */
+  subscribeLocal(selector: (localState: any, globalState: object) => any, ...operatorsAndCallback: any[]): Subscription;
+
   /**
    * Handler for actions received via the messaging system.
    */
   onAction(action: Action): void;
 }
 
+/**
+ * A reducer operating on the whole store state.
+ */
+export type ActionReducer<S = any> = (state: S, action: Action) => S;
+
+/**
+ * A function that wraps a reducer with cross-cutting logic (logging, hydration, reset...).
+ */
+export type MetaReducer<S = any> = (reducer: ActionReducer<S>) => ActionReducer<S>;
+
+/**
+ * What a middleware receives from the store.
+ */
+export interface MiddlewareAPI<S = any> {
+  getState(): S;
+  dispatch(action: Action): any;
+}
+
+/**
+ * A function that wraps `dispatch` (logging, enriching, throttling...).
+ */
+export type Middleware<S = any> = (api: MiddlewareAPI<S>) => (next: (action: Action) => any) => (action: Action) => any;
+
+/**
+ * Optional configuration for the `Store`.
+ */
+export interface StoreConfig {
+  metaReducers?: MetaReducer[];
+  runtimeChecks?: RuntimeChecks;
+  onEffectError?: (error: any, effectName: string) => void;
+  scheduler?: SchedulerLike;
+  middlewares?: Middleware[];
+}
+
+/**
+ * When the actions dispatched through the `storePlugin` reach the store.
+ */
+export type DispatchScheduler = 'sync' | 'microtask' | 'macrotask' | SchedulerLike;
+
+/**
+ * Development checks of the state and actions, all disabled by default.
+ */
+export interface RuntimeChecks {
+  stateImmutability?: boolean;
+  actionImmutability?: boolean;
+  stateSerializability?: boolean;
+  actionSerializability?: boolean;
+}
+
+/**
+ * The error raised when a runtime check fails.
+ */
+export class RuntimeCheckError extends Error {}
+
 /**
  * The central state container.
  */
 export class Store {
-  constructor(initialState?: object);
+  constructor(initialState?: object, config?: StoreConfig);
   get actions$(): Observable<Action>;
+  registerMetaReducers(...metaReducers: MetaReducer[]): void;
   registerReducers(...reducers: any[]): void;
+  unregisterReducers(...featureKeys: (string | string[])[]): void;
   setContext(context: object): void;
-  registerEffects(...effects: ((actions: Observable<Action>) => Observable<Action>)[]): void;
-  dispatch(action: Action): void;
-  select<T>(selectorFn: (state: object) => T): Observable<T>;
+  registerEffects(...effects: (((actions: Observable<Action>) => Observable<Action>) | EffectGroup)[]): Subscription;
+  unregisterEffects(...effects: (((actions: Observable<Action>) => Observable<Action>) | EffectGroup)[]): void;
+  use(...middlewares: Middleware[]): Subscription;
+  dispatch(action: Action): any;
+  dispatchAsync(action: Action): Promise<object>;
+  batch(fn: () => void, options?: { transaction?: boolean }): void;
+  select<T>(selectorFn: (state: object, ...props: any[]) => T, ...props: any[]): Observable<T>;
+  getState(): object;
+  selectSnapshot<T>(selectorFn: (state: object, ...props: any[]) => T, ...props: any[]): T;
+  selectSignal<T>(selectorFn: (state: object, ...props: any[]) => T, ...props: any[]): Signal<T>;
+}
+
+/**
+ * A value read synchronously by calling it, that notifies its listeners when it changes.
+ */
+export interface Signal<T> {
+  (): T;
+  subscribe(listener: (value: T) => void): Subscription;
+  readonly changes$: Observable<T>;
 }
 
+/**
+ * Creates a signal computed from the signals read by `computation`.
+ */
+export function computed<T>(computation: () => T, options?: { equal?: (a: T, b: T) => boolean }): Signal<T>;
+
+/**
+ * A lightweight store for the state local to a page.
+ */
+export class ComponentStore<S extends object = any> extends Store {
+  constructor(initialState?: S, config?: StoreConfig);
+  updater<V = void>(updaterFn: (state: S, value: V) => S, name?: string): (value?: V | Observable<V>) => Subscription | void;
+  setState(stateOrFn: S | ((state: S) => S)): void;
+  patchState(partialOrFn: Partial<S> | ((state: S) => Partial<S>)): void;
+  get(): S;
+  get<R>(projector: (state: S) => R): R;
+  effect<V = void>(generator: (origin$: Observable<V>) => Observable<any>): (value?: V | Observable<V>) => Subscription;
+  selectWith<R>(store: Store, selectorFn: (localState: S, otherState: object) => R): Observable<R>;
+  destroy(): void;
+}
+
+/**
+ * Dispatched by the updaters of a `ComponentStore`.
+ */
+export const componentUpdate: ActionCreator<'@rx-tiny-flux/component-update', (payload: { updater: number; name: string; value?: any; deferred?: number }) => Action>;
+
+/**
+ * An action with a literal type.
+ */
+export interface TypedAction<T extends string> {
+  readonly type: T;
+}
+
+/**
+ * An action creator function, carrying its action type.
+ */
+export type ActionCreator<T extends string = string, C extends (...args: any[]) => any = (...args: any[]) => Action> = C & TypedAction<T>;
+
+/**
+ * The marker returned by `props()`.
+ */
+export interface ActionProps<P> {
+  _as: 'props';
+  _p?: P;
+  validator?: (payload: P) => boolean | string;
+}
+
+/**
+ * The marker returned by `emptyProps()`.
+ */
+export interface EmptyProps {
+  _as: 'empty';
+}
+
+/**
+ * Declares the payload properties of an action, with an optional runtime validator.
+ */
+export function props<P extends object>(validator?: (payload: P) => boolean | string): ActionProps<P>;
+
+/**
+ * Declares that an action has no payload.
+ */
+export function emptyProps(): EmptyProps;
+
+/**
+ * Configures the runtime validation of action payloads.
+ */
+export function setActionValidation(mode: 'throw' | 'warn' | 'off'): void;
+
 /**
  * Factory function to create an action creator.
  */
-export function createAction(type: string): ((payload?: any) => Action) & { type: string };
+export function createAction<T extends string>(type: T): ActionCreator<T, (payload?: any) => Action & TypedAction<T>>;
+export function createAction<T extends string>(type: T, config: EmptyProps): ActionCreator<T, () => TypedAction<T>>;
+export function createAction<T extends string, P extends object>(type: T, config: ActionProps<P>): ActionCreator<T, (props: P) => P & TypedAction<T>>;
+export function createAction<T extends string, P extends any[], R extends object>(type: T, creator: (...args: P) => R): ActionCreator<T, (...args: P) => R & TypedAction<T>>;
+
+type JoinWords<S extends string> = S extends `${infer H} ${infer R}` ? `${Capitalize<H>}${JoinWords<R>}` : Capitalize<S>;
+
+/**
+ * The name of the action creator generated for an event, e.g. 'Load Items' becomes 'loadItems'.
+ */
+export type ActionName<E extends string> = Uncapitalize<JoinWords<E>>;
+
+type EventCreator<Type extends string, C> =
+  C extends EmptyProps ? ActionCreator<Type, () => TypedAction<Type>> :
+  C extends ActionProps<infer P> ? ActionCreator<Type, (props: P) => P & TypedAction<Type>> :
+  C extends (...args: infer A) => infer R ? ActionCreator<Type, (...args: A) => R & TypedAction<Type>> :
+  never;
+
+/**
+ * The action creators generated by `createActionGroup`.
+ */
+export type ActionGroup<Source extends string, Events extends Record<string, any>> = {
+  [E in keyof Events & string as ActionName<E>]: EventCreator<`[${Source}] ${E}`, Events[E]>;
+};
+
+/**
+ * Creates a group of action creators with `[Source] Event` types.
+ */
+export function createActionGroup<Source extends string, Events extends Record<string, EmptyProps | ActionProps<any> | ((...args: any[]) => object)>>(config: {
+  source: Source;
+  events: Events;
+}): ActionGroup<Source, Events>;
 
 /**
  * A token to be used with `on` to catch any action.
@@ -79,32 +276,515 @@ export function on(...args: (Function | ((state: any, action: Action) => any))[]
 /**
  * Factory function to create a reducer.
  */
-export function createReducer(featureKey: string, initialState: any, ...ons: any[]): { path: string, initialState: any, reducerFn: Function };
+export function createReducer(featureKey: string | string[], initialState: any, ...ons: any[]): { path: string, initialState: any, reducerFn: Function };
+
+/**
+ * Composes child reducers into a single reducer managing an object slice.
+ */
+export function combineReducers(
+  featureKey: string | string[],
+  reducers: { [key: string]: { initialState: any; reducerFn: Function } | ((state: any, action: Action) => any) }
+): { path: string, initialState: any, reducerFn: Function };
+
+/**
+ * Configuration of an effect.
+ */
+export interface EffectConfig {
+  dispatch?: boolean;
+  useEffectsErrorHandler?: boolean;
+  maxRetries?: number;
+  name?: string;
+}
 
 /**
  * Factory function to create an effect.
  */
-export function createEffect(effectFn: (actions: Observable<Action>) => Observable<Action>, config?: { dispatch?: boolean }): Function;
+export function createEffect(effectFn: (actions: Observable<Action>) => Observable<Action>, config?: EffectConfig): Function;
+
+/**
+ * An object (or class instance) whose properties are effects created with `createEffect`.
+ */
+export interface EffectGroup {
+  [key: string]: any;
+  onInitEffects?(): Action | void;
+  onRunEffects?(effect$: Observable<any>, name: string): Observable<any>;
+}
+
+/**
+ * Dispatched by the `Store` once it is created.
+ */
+export const init: ActionCreator<'@rx-tiny-flux/init', () => Action>;
+
+/**
+ * Dispatched by `registerReducers` and `unregisterReducers`.
+ */
+export const updateReducers: ActionCreator<'@rx-tiny-flux/update-reducers', (payload: { features: string[] }) => Action>;
+
+/**
+ * Dispatched by `registerEffects` once the effects are running.
+ */
+export const effectsInit: ActionCreator<'@rx-tiny-flux/effects-init', () => Action>;
+
+/**
+ * Dispatched by the `storePlugin` once the store is wired to the App or Side Service.
+ */
+export const storePluginInit: ActionCreator<'@rx-tiny-flux/store-plugin-init', () => Action>;
+
+/**
+ * Groups several actions, reduced in one pass with a single state emission.
+ */
+export const batchActions: ActionCreator<
+  '@rx-tiny-flux/batch',
+  (actions: Action[], options?: { transaction?: boolean }) => Action & { actions: Action[]; transaction: boolean }
+>;
+
+/**
+ * A JSON patch-style operation, with a JSON pointer from the root of the state.
+ */
+export interface PatchOperation {
+  op: 'add' | 'replace' | 'remove';
+  path: string;
+  value?: any;
+}
+
+/**
+ * Computes the operations turning a value into another.
+ */
+export function diff(prev: any, next: any, segments?: string[]): PatchOperation[];
+
+/**
+ * Applies patch operations to a state, preserving the unchanged references.
+ */
+export function applyPatch<S extends object>(state: S, patch: PatchOperation[]): S;
+
+/**
+ * Mirrors feature slices between two stores over a messaging channel.
+ */
+export function createStateSync(
+  store: Store,
+  config: { features: (string | string[])[]; send: (message: Action) => void; primary?: boolean }
+): { handleMessage(message: Action): boolean; connect(): void; requestSnapshot(): void; unsubscribe(): void };
+
+export const syncPatch: ActionCreator<'@rx-tiny-flux/sync-patch', (payload: { session: string; seq: number; patch: PatchOperation[] }) => Action>;
+export const syncSnapshot: ActionCreator<'@rx-tiny-flux/sync-snapshot', (payload: { session: string; seq: number; state: { [featureKey: string]: any } }) => Action>;
+export const syncResync: ActionCreator<'@rx-tiny-flux/sync-resync', () => Action>;
+
+/**
+ * Action dispatched by the store when an effect errors.
+ */
+export const effectError: ActionCreator<'@rx-tiny-flux/effect-error', (payload: { effect: string; error: { name: string; message: string } }) => Action>;
+
+/**
+ * How a request is handled while a call with the same key is in flight.
+ */
+export type FlatteningStrategy = 'switch' | 'concat' | 'merge' | 'exhaust';
+
+/**
+ * The status of the calls of an async effect with a given key.
+ */
+export interface AsyncStatus<T = any> {
+  loading: boolean;
+  error: { name: string; message: string } | null;
+  data: T | null;
+}
+
+/**
+ * The actions and the effect created by `createAsyncEffect`. It is also an effect group.
+ */
+export interface AsyncEffect<T = any> {
+  request: ActionCreator<string, (payload?: object) => Action>;
+  success: ActionCreator<string, (payload: { key: string; data: T; pending?: number }) => Action>;
+  failure: ActionCreator<string, (payload: { key: string; error: { name: string; message: string }; pending?: number }) => Action>;
+  cancel: ActionCreator<string, (payload?: { key?: string | number }) => Action>;
+  keyOf(action: Action): string;
+  call$: (actions: Observable<Action>) => Observable<Action>;
+}
+
+/**
+ * Creates the request/success/failure/cancel actions and the effect of an asynchronous call.
+ */
+export function createAsyncEffect<T = any>(
+  source: string,
+  callFn: (action: Action) => Promise<T> | Observable<T> | T,
+  options?: { strategy?: FlatteningStrategy; key?: (action: Action) => string | number }
+): AsyncEffect<T>;
+
+/**
+ * Creates a reducer tracking the `{ loading, error, data }` status of each key of an async effect.
+ */
+export function createAsyncReducer(
+  featureKey: string | string[],
+  asyncEffect: AsyncEffect
+): { path: string; initialState: object; reducerFn: Function };
+
+/**
+ * Creates a selector of the status of a key.
+ */
+export function selectAsyncStatus<T = any>(featureKey: string | string[], key?: string): (state: object) => AsyncStatus<T>;
 
 /**
  * Custom RxJS operator to filter actions by type.
  */
 export function ofType(...actionCreators: Function[]): OperatorFunction<Action, Action>;
 
+/**
+ * Memoization options of a selector.
+ */
+export interface SelectorOptions {
+  cacheSize?: number;
+  inputEquals?: (a: any, b: any) => boolean;
+  resultEquals?: (a: any, b: any) => boolean;
+}
+
+/**
+ * A selector created by `createSelector`, with its testing helpers.
+ */
+export interface MemoizedSelector<T = any> {
+  (state: object, ...props: any[]): T;
+  projector: (...args: any[]) => T;
+  release(): void;
+  recomputations(): number;
+  resetRecomputations(): void;
+  setResult(result: T): void;
+  clearResult(): void;
+}
+
 /**
  * Creates a selector for a top-level state slice.
  */
-export function createFeatureSelector<T>(featureKey: string, projectionFn?: (featureState: any) => T): (state: object) => T;
+export function createFeatureSelector<T>(featureKey: string | string[]): (state: object) => T;
+export function createFeatureSelector<T>(featureKey: string | string[], projectionFn: (featureState: any, ...props: any[]) => T, options?: SelectorOptions): MemoizedSelector<T>;
 
 /**
  * Creates a memoized selector that composes other selectors.
  */
-export function createSelector(...args: Function[]): (state: object) => any;
+export function createSelector(...args: (Function | SelectorOptions)[]): MemoizedSelector;
+
+/**
+ * A normalized collection of entities.
+ */
+export interface EntityState<T> {
+  ids: Array<string | number>;
+  entities: { [id: string]: T };
+}
+
+/**
+ * Changes to apply to an entity.
+ */
+export interface Update<T> {
+  id: string | number;
+  changes: Partial<T>;
+}
+
+/**
+ * Memoized selectors returned by `EntityAdapter.getSelectors`.
+ */
+export interface EntitySelectors<T, V> {
+  selectIds: (state: V) => Array<string | number>;
+  selectEntities: (state: V) => { [id: string]: T };
+  selectAll: (state: V) => T[];
+  selectTotal: (state: V) => number;
+}
+
+/**
+ * Pure helpers to manage a normalized collection in a state slice.
+ */
+export interface EntityAdapter<T> {
+  getInitialState<S extends object = {}>(additionalState?: S): EntityState<T> & S;
+  addOne<S extends EntityState<T>>(entity: T, state: S): S;
+  addMany<S extends EntityState<T>>(entities: T[], state: S): S;
+  setOne<S extends EntityState<T>>(entity: T, state: S): S;
+  setMany<S extends EntityState<T>>(entities: T[], state: S): S;
+  setAll<S extends EntityState<T>>(entities: T[], state: S): S;
+  updateOne<S extends EntityState<T>>(update: Update<T>, state: S): S;
+  updateMany<S extends EntityState<T>>(updates: Update<T>[], state: S): S;
+  upsertOne<S extends EntityState<T>>(entity: T, state: S): S;
+  upsertMany<S extends EntityState<T>>(entities: T[], state: S): S;
+  removeOne<S extends EntityState<T>>(id: string | number, state: S): S;
+  removeMany<S extends EntityState<T>>(idsOrPredicate: Array<string | number> | ((entity: T) => boolean), state: S): S;
+  removeAll<S extends EntityState<T>>(state: S): S;
+  map<S extends EntityState<T>>(mapFn: (entity: T) => T, state: S): S;
+  getSelectors(): EntitySelectors<T, EntityState<T>>;
+  getSelectors<V>(selectState: (state: V) => EntityState<T>): EntitySelectors<T, V>;
+}
+
+/**
+ * Creates an adapter for a normalized collection slice.
+ */
+export function createEntityAdapter<T>(options?: {
+  selectId?: (entity: T) => string | number;
+  sortComparer?: ((a: T, b: T) => number) | false;
+}): EntityAdapter<T>;
+
+/**
+ * The undo/redo history of a slice managed by `undoable`.
+ */
+export interface History<T> {
+  past: T[];
+  present: T;
+  future: T[];
+  lastGroup?: any;
+}
+
+/**
+ * Wraps a reducer to keep an undo/redo history of its slice.
+ */
+export function undoable<T>(
+  reducer: { path: string; initialState: T; reducerFn: Function },
+  config?: {
+    limit?: number;
+    filter?: ((action: Action) => boolean) | Array<string | { type: string }>;
+    groupBy?: (action: Action) => any;
+  }
+): { path: string; initialState: History<T>; reducerFn: (state: History<T>, action: Action) => History<T> };
+
+/**
+ * Creates memoized selectors for a slice managed by `undoable`.
+ */
+export function createUndoableSelectors<T = any>(selectHistory: string | ((state: object) => History<T>)): {
+  selectPresent: MemoizedSelector<T>;
+  selectPast: MemoizedSelector<T[]>;
+  selectFuture: MemoizedSelector<T[]>;
+  selectCanUndo: MemoizedSelector<boolean>;
+  selectCanRedo: MemoizedSelector<boolean>;
+};
+
+/**
+ * Undoes the last change of the undoable slices (or of `featureKey` only).
+ */
+export const undo: ActionCreator<'@rx-tiny-flux/undo', (payload?: { featureKey?: string }) => Action>;
+
+/**
+ * Redoes the last undone change of the undoable slices (or of `featureKey` only).
+ */
+export const redo: ActionCreator<'@rx-tiny-flux/redo', (payload?: { featureKey?: string }) => Action>;
+
+/**
+ * Moves in the history by `index` steps: negative to undo, positive to redo.
+ */
+export const jump: ActionCreator<'@rx-tiny-flux/jump', (payload: { index: number; featureKey?: string }) => Action>;
+
+/**
+ * Clears the past and future states of the undoable slices (or of `featureKey` only).
+ */
+export const clearHistory: ActionCreator<'@rx-tiny-flux/clear-history', (payload?: { featureKey?: string }) => Action>;
+
+/**
+ * A synchronous key/value storage used by `persistState`.
+ */
+export interface StorageAdapter {
+  getItem(key: string): string | null | undefined;
+  setItem(key: string, value: string): void;
+  removeItem(key: string): void;
+}
+
+/**
+ * Configuration of `persistState`.
+ */
+export interface PersistConfig {
+  storage: StorageAdapter;
+  key?: string;
+  whitelist?: (string | string[])[];
+  blacklist?: (string | string[])[];
+  throttle?: number;
+  version?: number;
+  migrations?: { [version: number]: (state: any) => any };
+}
+
+/**
+ * Handle returned by `persistState`.
+ */
+export interface PersistHandle {
+  flush(): void;
+  purge(): void;
+  unsubscribe(): void;
+}
+
+/**
+ * Action dispatched to load the persisted slices into the store.
+ */
+export const rehydrate: ((payload?: { state: object; paths?: (string | string[])[] }) => Action) & { type: string };
+
+/**
+ * Rehydrates the store from a storage adapter and persists the selected slices on each change.
+ */
+export function persistState(store: Store, config: PersistConfig): PersistHandle;
+
+/**
+ * Creates an in-memory storage adapter.
+ */
+export function createMemoryStorage(): StorageAdapter;
+
+/**
+ * Creates a storage adapter on top of a `localStorage`-like object.
+ */
+export function createWebStorage(storage?: { getItem(key: string): any; setItem(key: string, value: string): void; removeItem(key: string): void }): StorageAdapter;
+
+/**
+ * Creates a storage adapter on top of the ZeppOS `@zos/fs` module.
+ */
+export function createZeppFileStorage(fs: object, prefix?: string): StorageAdapter;
+
+/**
+ * A transport between an instrumented store and a Redux DevTools compatible monitor.
+ */
+export interface DevtoolsTransport {
+  init(state: object, liftedState?: object): void;
+  send(action: Action | null, state: object): void;
+  subscribe(listener: (message: any) => void): (() => void) | void;
+}
+
+/**
+ * Configuration of `instrumentStore`.
+ */
+export interface InstrumentConfig {
+  transport: DevtoolsTransport;
+  maxAge?: number;
+  actionSanitizer?: (action: Action) => Action;
+}
+
+/**
+ * Handle returned by `instrumentStore` to control the recorded history.
+ */
+export interface DevtoolsHandle {
+  jumpToAction(actionId: number): void;
+  jumpToState(index: number): void;
+  toggleAction(actionId: number): void;
+  reset(): void;
+  commit(): void;
+  rollback(): void;
+  getLiftedState(): object;
+  disconnect(): void;
+}
+
+/**
+ * Records the actions and states of a store, with time-travel, through a DevTools transport.
+ */
+export function instrumentStore(store: Store, config: InstrumentConfig): DevtoolsHandle;
+
+/**
+ * Removes the `context` from an action so it can be serialized.
+ */
+export function sanitizeAction<A extends Action>(action: A): Omit<A, 'context'>;
+
+/**
+ * Creates a transport for the Redux DevTools browser extension.
+ */
+export function createExtensionTransport(options?: object): DevtoolsTransport;
+
+/**
+ * Creates a transport over a WebSocket-like object.
+ */
+export function createWebSocketTransport(socket: {
+  send(data: string): void;
+  addEventListener(type: string, listener: (event: any) => void): void;
+  removeEventListener(type: string, listener: (event: any) => void): void;
+}): DevtoolsTransport;
+
+/**
+ * Creates an in-process transport, useful for tests.
+ */
+export function createMemoryTransport(): DevtoolsTransport & { messages: any[]; emit(message: any): void };
+
+/**
+ * The profile of a dispatched action.
+ */
+export interface ActionProfile {
+  type: string;
+  duration: number;
+  reducers: { [featureKey: string]: number };
+  selectors: { [name: string]: { recomputations: number; duration: number } };
+}
+
+/**
+ * The totals of a profiled store.
+ */
+export interface ProfileReport {
+  actions: number;
+  reducers: { [featureKey: string]: { calls: number; totalDuration: number; maxDuration: number } };
+  selectors: { [name: string]: { recomputations: number; totalDuration: number; maxDuration: number } };
+  subscribers: { [name: string]: number };
+}
+
+/**
+ * Profiles the reducers, the selector recomputations and the `select` subscribers of a store.
+ */
+export function profileStore(
+  store: Store,
+  config?: { selectors?: { [name: string]: Function }; now?: () => number }
+): {
+  report(): ProfileReport;
+  reset(): void;
+  profile$: Observable<ActionProfile>;
+  unsubscribe(): void;
+};
+
+/**
+ * Carries the messages between the synchronized instances of a store.
+ */
+export interface BroadcastTransport {
+  post(message: object): void;
+  subscribe(listener: (message: any) => void): () => void;
+  close?(): void;
+}
+
+/**
+ * Keeps several instances of a store in sync, running the effects on the leader only.
+ */
+export function broadcastStore(
+  store: Store,
+  config: {
+    transport: BroadcastTransport;
+    id?: string;
+    features?: (string | string[])[];
+    filter?: (action: Action) => boolean;
+    heartbeat?: number;
+    timeout?: number;
+    electionTimeout?: number;
+  }
+): { id: string; isLeader(): boolean; unsubscribe(): void };
+
+/**
+ * Dispatched when an instance adopts the state of the leader.
+ */
+export const broadcastSnapshot: ActionCreator<'@rx-tiny-flux/broadcast-snapshot', (payload: { state: object }) => Action>;
+
+/**
+ * Creates a transport on top of a `BroadcastChannel`.
+ */
+export function createBroadcastChannelTransport(name?: string): BroadcastTransport;
+
+/**
+ * Creates a transport on top of `postMessage`.
+ */
+export function createPostMessageTransport(
+  target: { postMessage(message: any, targetOrigin?: string): void },
+  options?: {
+    source?: { addEventListener(type: string, listener: (event: any) => void): void; removeEventListener(type: string, listener: (event: any) => void): void };
+    targetOrigin?: string;
+    channel?: string;
+  }
+): BroadcastTransport;
+
+/**
+ * Creates an in-memory bus connecting transports, for Node and tests.
+ */
+export function createMemoryBus(): { createTransport(): BroadcastTransport };
 
 /**
  * The store plugin for ZeppOS App/Page/Service.
  */
-export function storePlugin(instance: object, store?: Store): object;
+export function storePlugin(
+  instance: object,
+  store?: Store,
+  options?: {
+    sync?: { features: (string | string[])[] };
+    outbox?: Omit<OutboxConfig, 'send'>;
+    scheduler?: DispatchScheduler;
+    delay?: number;
+    router?: NavigationAdapter;
+  }
+): object;
 
 /**
  * RxJS operator to combine an action with the latest value from the store.
@@ -124,4 +804,110 @@ export const isApp: () => OperatorFunction<any, any>;
 /**
  * RxJS operator to propagate an action to another ZeppOS context.
  */
-export const propagateAction: () => OperatorFunction<Action, Action>;
\ No newline at end of file
+export const propagateAction: (options?: { durable?: boolean }) => OperatorFunction<Action, Action>;
+
+/**
+ * The configuration of `createOutbox`.
+ */
+export interface OutboxConfig {
+  send: (message: Action) => void;
+  storage?: StorageAdapter;
+  key?: string;
+  isConnected?: () => boolean;
+  delay?: number;
+  maxDelay?: number;
+  maxAttempts?: number;
+}
+
+/**
+ * A durable queue of the actions propagated to the other side.
+ */
+export interface Outbox {
+  enqueue(action: Action): string;
+  handleMessage(message: Action): boolean;
+  flush(): void;
+  retryFailed(): void;
+  clearFailed(): void;
+  unsubscribe(): void;
+}
+
+/**
+ * Creates a durable outbox, keeping its `{ pending, failed }` counts in the `outbox` slice.
+ */
+export function createOutbox(store: Store, config: OutboxConfig): Outbox;
+
+export const outboxAck: ActionCreator<'@rx-tiny-flux/outbox-ack', (payload: { outboxId: string }) => Action>;
+export const outboxStatus: ActionCreator<'@rx-tiny-flux/outbox-status', (payload: { pending: number; failed: number }) => Action>;
+export const outboxReducer: { path: string; initialState: { pending: number; failed: number }; reducerFn: Function };
+export const selectOutboxStatus: (state: object) => { pending: number; failed: number };
+
+/**
+ * A page in the `router` slice.
+ */
+export interface RouteEntry {
+  id: number;
+  url: string | null;
+  params: any;
+}
+
+/**
+ * The `router` slice: the open pages, the current one last.
+ */
+export interface RouterState {
+  stack: RouteEntry[];
+  pending: { url: string; params: any } | null;
+}
+
+/**
+ * Opens and closes pages, e.g. through `@zos/router`.
+ */
+export interface NavigationAdapter {
+  push(route: { url: string; params?: any }): void;
+  back(): void;
+}
+
+export const navigateTo: ActionCreator<'@rx-tiny-flux/navigate-to', (payload: { url: string; params?: any }) => Action>;
+export const back: ActionCreator<'@rx-tiny-flux/back', () => Action>;
+export const routerPageEnter: ActionCreator<'@rx-tiny-flux/router-page-enter', (payload: { id: number; url?: string; params?: any }) => Action>;
+export const routerPageLeave: ActionCreator<'@rx-tiny-flux/router-page-leave', (payload: { id: number }) => Action>;
+export const routerReducer: { path: string; initialState: RouterState; reducerFn: Function };
+export const selectRouter: (state: object) => RouterState;
+export const selectCurrentRoute: (state: object) => RouteEntry | null;
+export const selectCurrentPage: (state: object) => string | null;
+export const selectRouteParams: (state: object) => any;
+
+/**
+ * Creates the effects performing `navigateTo` and `back` through the adapter.
+ */
+export function createRouterEffects(adapter: NavigationAdapter): object;
+
+/**
+ * Creates a navigation adapter on top of the `@zos/router` module.
+ */
+export function createZeppRouterAdapter(router: { push(options: { url: string; params?: string }): void; back(): void }): NavigationAdapter;
+
+/**
+ * Creates a navigation adapter recording the open pages in memory, for Node and tests.
+ */
+export function createMemoryRouterAdapter(): NavigationAdapter & { history: { url: string; params: any }[] };
+
+/**
+ * RxJS operator answering requests sent with `requestAction`. Emits the responses sent back.
+ */
+export function respond(
+  handler: (request: Action) => Action | Promise<Action> | Observable<Action>,
+  options?: { failure?: (error: any, request: Action) => Action }
+): OperatorFunction<Action, Action>;
+
+/**
+ * The response to a request that failed or timed out.
+ */
+export const requestFailure: ActionCreator<
+  '@rx-tiny-flux/request-failure',
+  (payload: { requestType: string; correlationId?: string; error: { name: string; message: string } }) => Action
+>;
+
+/**
+ * Dispatched (and sent to the responder) when a pending request is cancelled.
+ */
+export const requestCancel: ActionCreator<'@rx-tiny-flux/request-cancel', (payload: { requestType: string; correlationId: string }) => Action>;
\ No newline at end of file
@@ -21,6 +21,10 @@ export {
 	of,
 	// Constants
 	EMPTY,
+	// Schedulers
+	asapScheduler,
+	asyncScheduler,
+	queueScheduler,
 	// Utilities
 	pipe,
 } from 'rxjs';
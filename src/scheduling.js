@@ -0,0 +1,78 @@
+/**
+ * @typedef {'sync'|'microtask'|'macrotask'|import('rxjs').SchedulerLike} DispatchScheduler
+ *   When the actions dispatched through the `storePlugin` reach the store:
+ *   - `'sync'`: right away.
+ *   - `'microtask'`: once the current code has run (like a resolved promise).
+ *   - `'macrotask'`: after a `setTimeout` of `delay` milliseconds.
+ *   - an RxJS scheduler: with `scheduler.schedule(work, delay)`, `delay` being 0 by default.
+ */
+
+/**
+ * The default delay of the `'macrotask'` scheduler, in milliseconds.
+ */
+const DEFAULT_DISPATCH_DELAY = 50;
+
+/**
+ * Returns the function that runs a task with the given scheduler.
+ * @param {DispatchScheduler} scheduler
+ * @param {number} [delay] - Defaults to 50 milliseconds for `'macrotask'`, and to 0 for an RxJS scheduler.
+ * @returns {function(function(): void): void}
+ */
+function toRunner(scheduler, delay) {
+  if (scheduler && typeof scheduler === 'object' && typeof scheduler.schedule === 'function') {
+    return (task) => { scheduler.schedule(task, delay === undefined ? 0 : delay); };
+  }
+
+  switch (scheduler) {
+    case 'sync':
+      return (task) => task();
+    case 'microtask':
+      return (task) => { Promise.resolve().then(task); };
+    case 'macrotask':
+      return (task) => { setTimeout(task, delay === undefined ? DEFAULT_DISPATCH_DELAY : delay); };
+    default:
+      throw new Error(`[rx-tiny-flux] Unknown dispatch scheduler '${scheduler}', expected 'sync', 'microtask', 'macrotask' or an RxJS scheduler.`);
+  }
+}
+
+/**
+ * Creates a queue running the dispatch tasks on a scheduler. The tasks are run in the order they
+ * were queued, all together once the scheduler fires, so the actions dispatched in the same tick
+ * keep their order, even when they come from different pages. A task queued while the queue is
+ * running is run in the same pass.
+ *
+ * @param {DispatchScheduler} [scheduler='macrotask']
+ * @param {number} [delay] - The delay of the `'macrotask'` scheduler (50 by default) or of an RxJS scheduler (0 by default).
+ * @returns {function(function(): void): void} Queues a task.
+ */
+export function createDispatchQueue(scheduler = 'macrotask', delay) {
+  const run = toRunner(scheduler, delay);
+  const tasks = [];
+  let scheduled = false;
+  let running = false;
+
+  const flush = () => {
+    scheduled = false;
+    running = true;
+    try {
+      while (tasks.length > 0) {
+        tasks.shift()();
+      }
+    } finally {
+      running = false;
+      // If a task threw, the next ones still run.
+      if (tasks.length > 0) {
+        scheduled = true;
+        run(flush);
+      }
+    }
+  };
+
+  return (task) => {
+    tasks.push(task);
+    if (!scheduled && !running) {
+      scheduled = true;
+      run(flush);
+    }
+  };
+}
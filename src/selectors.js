@@ -1,72 +1,206 @@
+import { getIn } from './paths.js';
+
 /**
- * Creates a selector function that extracts a top-level state slice (feature) using a key.
- * It is analogous to NgRx's `createFeatureSelector`.
+ * Strict equality, the default comparison for selector inputs and results.
+ * This works because the store preserves references for unchanged state slices.
+ * @param {any} a
+ * @param {any} b
+ * @returns {boolean}
+ */
+const strictEquals = (a, b) => a === b;
+
+/**
+ * Called when a selector created with `createSelector` recomputes, with the selector and the
+ * duration of its projection, while a profiled store runs it. Null outside of `observeSelectors`.
+ * @type {{now: function(): number, recomputed: function(Function, number): void}|null}
+ */
+let activeObserver = null;
+
+/**
+ * Runs selectors, reporting the recomputations of the ones created with `createSelector` to an observer.
+ * Used by the profiled stores, so each profiler only sees the selectors run by its store.
+ * @template T
+ * @param {{now: function(): number, recomputed: function(Function, number): void}} observer
+ * @param {function(): T} run
+ * @returns {T}
+ */
+export function observeSelectors(observer, run) {
+  const outer = activeObserver;
+  activeObserver = observer;
+  try {
+    return run();
+  } finally {
+    activeObserver = outer;
+  }
+}
+
+/**
+ * Checks if two arrays of arguments are equal, comparing each argument with `equals`.
+ * @param {any[]} a - First array of arguments.
+ * @param {any[]} b - Second array of arguments.
+ * @param {function(any, any): boolean} equals - The comparison function.
+ * @returns {boolean} - True if the arrays are equal.
+ */
+function areArgsEqual(a, b, equals) {
+  if (!b || a.length !== b.length) {
+    return false;
+  }
+  for (let i = 0; i < a.length; i++) {
+    if (!equals(a[i], b[i])) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Creates a memoized version of a function, keeping the results of the last `cacheSize`
+ * distinct argument lists (least recently used entries are evicted first).
  *
- * @param {string} featureKey - The key for the top-level feature in the state object.
- * @param {function(any): any} [projectionFn] - An optional function to transform the selected value.
- * @returns {function(object): any} A function that receives the complete state and returns the selected part.
+ * @param {Function} fn - The function to memoize.
+ * @param {object} [options]
+ * @param {number} [options.cacheSize=1] - The number of cached results.
+ * @param {function(any, any): boolean} [options.inputEquals] - Compares each argument with the cached ones.
+ * @param {function(any, any): boolean} [options.resultEquals] - If a new result equals the last one,
+ *   the last reference is returned instead.
+ * @returns {{memoized: Function, reset: function(): void, recomputations: function(): number, resetRecomputations: function(): void}}
  */
-export function createFeatureSelector(featureKey, projectionFn) {
-  return (state) => {
-    const selectedValue = state[featureKey];
-    // If a projection function was provided, apply it to the value. Otherwise, return the value directly.
-    return projectionFn ? projectionFn(selectedValue) : selectedValue;
+function memoize(fn, { cacheSize = 1, inputEquals = strictEquals, resultEquals = strictEquals } = {}) {
+  // Most recently used entries are kept at the end.
+  let cache = [];
+  let lastResult;
+  let hasResult = false;
+  let recomputations = 0;
+
+  const memoized = (...args) => {
+    const index = cache.findIndex(entry => areArgsEqual(args, entry.args, inputEquals));
+    if (index !== -1) {
+      const entry = cache[index];
+      if (index !== cache.length - 1) {
+        cache.splice(index, 1);
+        cache.push(entry);
+      }
+      // If the inputs are the same as before, return the cached result.
+      // This preserves reference equality for derived data.
+      return entry.result;
+    }
+
+    recomputations++;
+    let result = fn(...args);
+    if (hasResult && resultEquals(result, lastResult)) {
+      result = lastResult;
+    }
+    lastResult = result;
+    hasResult = true;
+
+    cache.push({ args, result });
+    if (cache.length > cacheSize) {
+      cache.shift();
+    }
+    return result;
+  };
+
+  return {
+    memoized,
+    reset: () => {
+      cache = [];
+      lastResult = undefined;
+      hasResult = false;
+    },
+    recomputations: () => recomputations,
+    resetRecomputations: () => {
+      recomputations = 0;
+    },
   };
 }
 
+/**
+ * Returns whether the argument is a selector options object rather than a function.
+ * @param {any} arg
+ * @returns {boolean}
+ */
+const isOptions = (arg) => arg !== null && typeof arg === 'object';
+
+/**
+ * Creates a selector function that extracts a state slice (feature) using a key.
+ * It is analogous to NgRx's `createFeatureSelector`.
+ *
+ * @param {string|string[]} featureKey - The key for the feature in the state object. It may be a nested
+ *   path, as a dotted string (`'settings.display'`) or an array of keys, like in `createReducer`.
+ * @param {function(any, ...any): any} [projectionFn] - An optional function to transform the selected value.
+ *   It is memoized like a `createSelector` projection and also receives the selector props.
+ * @param {object} [options] - Memoization options, see `createSelector`.
+ * @returns {function(object, ...any): any} A function that receives the complete state and returns the selected part.
+ */
+export function createFeatureSelector(featureKey, projectionFn, options) {
+  const selectFeature = (state) => getIn(state, featureKey);
+  // If a projection function was provided, memoize it. Otherwise, return the value directly.
+  return projectionFn ? createSelector(selectFeature, projectionFn, options || {}) : selectFeature;
+}
+
 /**
  * Creates a selector function that can compose multiple selectors, whose results
  * are passed as arguments to a final projection function.
  * It is analogous to NgRx's `createSelector`.
  *
- * @param {...Function} args - A list of input selector functions, followed by a projection function.
- * @returns {function(object): any} The final composed selector function.
+ * The selector accepts optional props after the state (e.g. `selectItemById(state, id)`). They are
+ * passed to the input selectors and appended to the projection arguments.
+ *
+ * @param {...(Function|{cacheSize?: number, inputEquals?: function(any, any): boolean, resultEquals?: function(any, any): boolean})} args
+ *   A list of input selector functions, followed by a projection function, optionally followed by an options object:
+ *   `cacheSize` (the number of cached results, default 1), `inputEquals` (compares the input values)
+ *   and `resultEquals` (keeps the previous result reference when the new one is equal).
+ * @returns {function(object, ...any): any} The final composed selector function, with the
+ *   `projector`, `release`, `recomputations`, `resetRecomputations`, `setResult` and `clearResult` helpers.
  */
 export function createSelector(...args) {
-  // The last argument is always the projection function.
+  // An options object may follow the projection function.
+  const options = isOptions(args[args.length - 1]) ? args.pop() : {};
+  // The next argument is always the projection function.
   const projectionFn = args.pop();
   // All previous arguments are the input selectors.
   const inputSelectors = args;
 
-  // Memoization state
-  let lastResult;
-  let lastArgs;
-  let hasRun = false;
-
-  /**
-   * Checks if two arrays of arguments are shallowly equal.
-   * @param {any[]} a - First array of arguments.
-   * @param {any[]} b - Second array of arguments.
-   * @returns {boolean} - True if the arrays are equal.
-   */
-  function areArgsEqual(a, b) {
-    if (!b || a.length !== b.length) {
-      return false;
+  const memo = memoize(projectionFn, options);
+  // A fixed result set with `setResult`, used to mock the selector in tests.
+  let override = null;
+
+  const selector = (state, ...props) => {
+    if (override) {
+      return override.result;
     }
-    for (let i = 0; i < a.length; i++) {
-      // Strict equality check for each argument. This works because our improved
-      // store logic preserves references for unchanged state slices.
-      if (a[i] !== b[i]) {
-        return false;
-      }
+    const inputs = inputSelectors.map(inputSelector => inputSelector(state, ...props));
+    const observer = activeObserver;
+    if (!observer) {
+      return memo.memoized(...inputs, ...props);
     }
-    return true;
-  }
-
-	return (state) => {
-	  const newArgs = inputSelectors.map(selector => selector(state));
 
-	  if (hasRun && areArgsEqual(newArgs, lastArgs)) {
-		  // If the inputs from selectors are the same as last time, return the cached result.
-		  // This preserves reference equality for derived data.
-		  return lastResult;
-	  }
-
-	  // Otherwise, compute the new result, cache it, and return it.
-	  lastArgs = newArgs;
-	  lastResult = projectionFn(...newArgs);
-	  hasRun = true;
+    // Only the projection is timed: the input selectors report their own recomputations.
+    const recomputations = memo.recomputations();
+    const start = observer.now();
+    const result = memo.memoized(...inputs, ...props);
+    if (memo.recomputations() !== recomputations) {
+      observer.recomputed(selector, observer.now() - start);
+    }
+    return result;
+  };
 
-	  return lastResult;
+  // The raw projection function, useful to test it in isolation.
+  selector.projector = projectionFn;
+  // Clears the cache of this selector and of its input selectors.
+  selector.release = () => {
+    memo.reset();
+    inputSelectors.forEach(inputSelector => typeof inputSelector.release === 'function' && inputSelector.release());
   };
+  selector.recomputations = memo.recomputations;
+  selector.resetRecomputations = memo.resetRecomputations;
+  // Makes the selector always return the given result, until `clearResult` is called.
+  selector.setResult = (result) => {
+    override = { result };
+  };
+  selector.clearResult = () => {
+    override = null;
+  };
+
+  return selector;
 }
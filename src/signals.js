@@ -0,0 +1,138 @@
+import { Observable, Subscription } from 'rxjs';
+import { skip } from 'rxjs/operators';
+
+/**
+ * @template T
+ * @typedef {(function(): T) & {
+ *   subscribe: function(function(T): void): Subscription,
+ *   changes$: Observable<T>
+ * }} Signal
+ *   A value read synchronously by calling it. `subscribe` calls the listener with each new value,
+ *   only when the value changes; `changes$` is the same stream as an observable.
+ */
+
+/**
+ * The dependencies read by the `computed` being evaluated, or null outside of a computation.
+ * @type {Array<{signal: Signal<any>, value: any}>|null}
+ */
+let activeDependencies = null;
+
+/**
+ * Reads a signal without registering it as a dependency of the `computed` being evaluated.
+ * @template T
+ * @param {function(): T} read
+ * @returns {T}
+ */
+function untracked(read) {
+  const outer = activeDependencies;
+  activeDependencies = null;
+  try {
+    return read();
+  } finally {
+    activeDependencies = outer;
+  }
+}
+
+/**
+ * Turns a read function and a stream of changes into a signal.
+ * @template T
+ * @param {function(): T} read
+ * @param {Observable<T>} changes$
+ * @returns {Signal<T>}
+ */
+function toSignal(read, changes$) {
+  const signal = () => {
+    const value = untracked(read);
+    if (activeDependencies && !activeDependencies.some((dependency) => dependency.signal === signal)) {
+      activeDependencies.push({ signal, value });
+    }
+    return value;
+  };
+  signal.changes$ = changes$;
+  signal.subscribe = (listener) => changes$.subscribe(listener);
+  return signal;
+}
+
+/**
+ * Creates a signal reading a selector against the current state of a store.
+ * Used by `Store.selectSignal`.
+ * @template T
+ * @param {import('./store').Store} store
+ * @param {function(object, ...any): T} selectorFn
+ * @param {any[]} props
+ * @returns {Signal<T>}
+ */
+export function createStoreSignal(store, selectorFn, props) {
+  return toSignal(
+    () => store.selectSnapshot(selectorFn, ...props),
+    // `select` emits the current value first, which is not a change.
+    store.select(selectorFn, ...props).pipe(skip(1))
+  );
+}
+
+/**
+ * Creates a signal whose value is computed from other signals, e.g. the ones created with
+ * `store.selectSignal`. The signals read by `computation` are tracked as its dependencies.
+ *
+ * The value is cached: it is only computed again when read after a dependency changed.
+ * The listeners are only notified when the computed value changes, so a computation that
+ * maps several state changes to the same value doesn't notify them.
+ *
+ * @template T
+ * @param {function(): T} computation - Reads signals and returns the value. It must not have side effects.
+ * @param {object} [options]
+ * @param {function(T, T): boolean} [options.equal=Object.is] - Tells whether two values are the same.
+ * @returns {Signal<T>}
+ */
+export function computed(computation, { equal = Object.is } = {}) {
+  /** @type {Array<{signal: Signal<any>, value: any}>|null} */
+  let dependencies = null;
+  let value;
+
+  const read = () => {
+    const stale = !dependencies || dependencies.some((dependency) => !Object.is(dependency.signal(), dependency.value));
+    if (stale) {
+      const outer = activeDependencies;
+      activeDependencies = [];
+      try {
+        value = computation();
+        dependencies = activeDependencies;
+      } finally {
+        activeDependencies = outer;
+      }
+    }
+    return value;
+  };
+
+  const changes$ = new Observable((subscriber) => {
+    let last = untracked(read);
+    let watched = [];
+    let subscription = new Subscription();
+
+    // Listens to the current dependencies, which may differ after each computation.
+    const watch = () => {
+      const signals = dependencies.map((dependency) => dependency.signal);
+      if (signals.length === watched.length && signals.every((signal, i) => signal === watched[i])) {
+        return;
+      }
+      subscription.unsubscribe();
+      subscription = new Subscription();
+      watched = signals;
+      signals.forEach((signal) => subscription.add(signal.changes$.subscribe(onChange)));
+    };
+
+    const onChange = () => {
+      const next = untracked(read);
+      watch();
+      if (!equal(last, next)) {
+        last = next;
+        subscriber.next(next);
+      }
+    };
+
+    watch();
+    return () => subscription.unsubscribe();
+  });
+
+  return toSignal(read, changes$);
+}
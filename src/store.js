@@ -1,8 +1,29 @@
-import {BehaviorSubject, Subject} from 'rxjs';
-import {distinctUntilChanged, map, scan, shareReplay, startWith} from 'rxjs/operators';
+import {BehaviorSubject, EMPTY, merge, Subject, Subscription} from 'rxjs';
+import {catchError, distinctUntilChanged, filter, map, mergeMap, observeOn, share, shareReplay, startWith} from 'rxjs/operators';
+import {batchActions, isBatch} from './batch.js';
+import {effectError, getEffectConfig} from './effects.js';
+import {effectsInit, init, updateReducers} from './lifecycle.js';
+import {getIn, removeIn, setIn, toPath} from './paths.js';
+import {observeSelectors} from './selectors.js';
+import {createStoreSignal} from './signals.js';
+import {checkAction, checkState, deepFreeze, reportMutation, RuntimeCheckError} from './runtime-checks.js';
 
 /**
  * @typedef {import('./types').Action} Action
+ * @typedef {import('./runtime-checks').RuntimeChecks} RuntimeChecks
+ */
+
+/**
+ * @typedef {object} MiddlewareAPI
+ * @property {function(): object} getState - Returns the current state.
+ * @property {function(Action): any} dispatch - Dispatches an action through the whole middleware chain.
+ */
+
+/**
+ * @typedef {function(MiddlewareAPI): function(function(Action): any): function(Action): any} Middleware
+ *   Wraps `dispatch`: it receives the `next` function of the chain, and returns the function handling
+ *   each dispatched action. Calling `next(action)` passes the action (possibly changed) on to the next
+ *   middleware, and eventually to the reducers; not calling it drops the action.
  */
 
 export class Store {
@@ -18,13 +39,44 @@ export class Store {
    */
   _actions$ = new Subject();
 
+  /**
+   * The dispatched actions, with the groups created by `batchActions` replaced by their actions.
+   * This is the stream the effects listen to.
+   * @private
+   * @type {import('rxjs').Observable<Action>}
+   */
+  _unbatchedActions$;
+
+  /**
+   * The stream the effects listen to: `_unbatchedActions$` filtered by `_effectsGate`, and the
+   * actions the gate held back then let through.
+   * @private
+   * @type {import('rxjs').Observable<Action>}
+   */
+  _effectActions$;
+
+  /**
+   * Tells whether the effects receive an action and may dispatch, or null to always let them.
+   * Set by `broadcastStore`, so only one of the synchronized stores runs the effects.
+   * @private
+   * @type {function(Action): boolean|null}
+   */
+  _effectsGate = null;
+
+  /**
+   * The actions held back by the gate, delivered to the effects later.
+   * @private
+   * @type {Subject<Action>}
+   */
+  _replayedActions$ = new Subject();
+
   /**
    * Public observable stream of all dispatched actions.
-   * Useful for effects and plugins.
+   * Useful for effects and plugins. Batched actions are emitted one by one.
    * @type {import('rxjs').Observable<Action>}
    */
   get actions$() {
-    return this._actions$.asObservable();
+    return this._unbatchedActions$;
   }
 
   /**
@@ -33,71 +85,338 @@ export class Store {
    */
   _reducers = [];
 
+  /**
+   * @private
+   * @type {Array<function(function(object, Action): object): function(object, Action): object>}
+   */
+  _metaReducers = [];
+
+  /**
+   * The root reducer wrapped by all registered meta-reducers.
+   * @private
+   * @type {function(object, Action): object}
+   */
+  _reducer;
+
+  /**
+   * The subscriptions of the registered effects.
+   * @private
+   * @type {Array<{effectFn: function, subscription: Subscription}>}
+   */
+  _effects = [];
+
+  /**
+   * @private
+   * @type {RuntimeChecks}
+   */
+  _runtimeChecks = {};
+
+  /**
+   * @private
+   * @type {function(Error, string): void|null}
+   */
+  _onEffectError = null;
+
   /**
    * @private
    * @type {object|null}
    */
   _context = null;
 
+  /**
+   * The actions dispatched inside the current `batch` callback, or null outside of it.
+   * @private
+   * @type {Action[]|null}
+   */
+  _batchQueue = null;
+
+  /**
+   * The errors of the transactional batches that were rolled back.
+   * @private
+   * @type {WeakMap<Action, any>}
+   */
+  _rolledBack = new WeakMap();
+
+  /**
+   * The promises returned by `dispatchAsync`, settled once their action is reduced.
+   * @private
+   * @type {WeakMap<Action, {resolve: function(object): void, reject: function(any): void}>}
+   */
+  _pendingDispatches = new WeakMap();
+
+  /**
+   * @private
+   * @type {import('rxjs').SchedulerLike|null}
+   */
+  _scheduler = null;
+
+  /**
+   * The registered middlewares, already given the middleware API.
+   * @private
+   * @type {Array<function(function(Action): any): function(Action): any>}
+   */
+  _middlewares = [];
+
+  /**
+   * The middlewares composed around `_deliverFromChain`, rebuilt when they are added or removed.
+   * @private
+   * @type {function(Action): any}
+   */
+  _dispatchChain = (action) => this._deliverFromChain(action);
+
+  /**
+   * The actions being dispatched, the innermost last, with whether they reached the end of the chain.
+   * @private
+   * @type {Array<{action: Action, reached: boolean}>}
+   */
+  _dispatching = [];
+
+  /**
+   * The profiler attached by `profileStore`, or null.
+   * @private
+   * @type {import('./profiler').ProfilerHooks|null}
+   */
+  _profiler = null;
+
   /**
    * @param {object} initialState - The initial state of the application.
+   * @param {object} [config] - An optional configuration object.
+   * @param {Array<function(function(object, Action): object): function(object, Action): object>} [config.metaReducers]
+   *   Meta-reducers that wrap the root reducer, applied in order (the first one is the outermost).
+   * @param {RuntimeChecks} [config.runtimeChecks] - Development checks for the immutability and
+   *   serializability of the state and actions. All of them are disabled by default.
+   * @param {function(Error, string): void} [config.onEffectError] - Called with the error and the effect name
+   *   when an effect errors. Defaults to logging the error with `console.error`.
+   * @param {import('rxjs').SchedulerLike} [config.scheduler] - An RxJS scheduler (e.g. `asapScheduler`) on which the
+   *   dispatched actions are reduced and delivered to the effects. By default, `dispatch` reduces synchronously.
+   * @param {Middleware[]} [config.middlewares] - Middlewares wrapping `dispatch` (see `use`), applied in order
+   *   (the first one is the outermost). They also see the `init` action.
    */
-  constructor(initialState = {}) {
+  constructor(initialState = {}, config = {}) {
+    this._runtimeChecks = { ...config.runtimeChecks };
+    this._onEffectError = config.onEffectError || null;
+    this._scheduler = config.scheduler || null;
+
     // The initial state is now deep-cloned to prevent external mutations.
     // `structuredClone` is modern and ideal, but `JSON.parse` is a safe fallback.
     const initialStoreState = typeof structuredClone === 'function' ? structuredClone(initialState) : JSON.parse(JSON.stringify(initialState));
+    if (this._runtimeChecks.stateImmutability) {
+      deepFreeze(initialStoreState);
+    }
     this._state$ = new BehaviorSubject(initialStoreState);
 
-    const dispatcher$ = this._actions$;
+    this._reducer = this._composeReducer();
+    if (config.metaReducers) {
+      this.registerMetaReducers(...config.metaReducers);
+    }
+
+    // With a scheduler, the actions are reduced later, but still in the order they were dispatched.
+    const dispatcher$ = this._scheduler ? this._actions$.pipe(observeOn(this._scheduler), share()) : this._actions$;
+    this._unbatchedActions$ = dispatcher$.pipe(mergeMap(action => this._unbatch(action)));
+    this._effectActions$ = merge(
+      this._unbatchedActions$.pipe(filter(action => !this._effectsGate || this._effectsGate(action))),
+      this._replayedActions$
+    );
 
     const state$ = dispatcher$.pipe(
-      scan((currentState, action) => {
-        // Create a shallow copy of the state. This is key to preserving references
-        // for unchanged state slices, which allows memoized selectors to work.
-        let nextState = { ...currentState };
-        let hasChanged = false;
-
-        this._reducers.forEach(({ path: featureKey, reducerFn }) => {
-          // Gets the current state slice.
-          const stateSlice = currentState[featureKey];
-
-          // Executes the reducer to get the new slice.
-          const nextStateSlice = reducerFn(stateSlice, action);
-
-          // If the reducer returned a new object reference, the slice has changed.
-          if (stateSlice !== nextStateSlice) {
-            nextState[featureKey] = nextStateSlice;
-            hasChanged = true;
-          }
-        });
-
-        return hasChanged ? nextState : currentState;
-      }, initialStoreState),
-      startWith(initialState),
+      // Reduces from the current value of `_state$` rather than from a private accumulator, so
+      // slices added by `registerReducers` or loaded by plugins are seen by the next reduction.
+      map(action => {
+        if (this._profiler) {
+          this._profiler.actionStart(action);
+        }
+        return this._reduce(this._state$.getValue(), action);
+      }),
+      startWith(initialStoreState),
       // Ensures new subscribers receive the last emitted state and shares the execution.
       shareReplay(1)
     );
 
     // Connects the calculated state stream back to our main BehaviorSubject.
     state$.subscribe(this._state$);
+
+    // Settles the `dispatchAsync` promises once their action is reduced, before the effects receive it.
+    // By then the new state was emitted to the selectors, so the profiler can close the action.
+    dispatcher$.subscribe(action => {
+      if (this._profiler) {
+        this._profiler.actionEnd(action);
+      }
+      this._settleDispatch(action, this._rolledBack.get(action));
+    });
+
+    if (config.middlewares) {
+      this.use(...config.middlewares);
+    }
+    this.dispatch(init());
+  }
+
+  /**
+   * Reduces an action with the composed reducer. The actions of a batch are reduced one after the
+   * other, so meta-reducers see each of them, and only the final state is emitted.
+   * @private
+   * @param {object} state
+   * @param {Action} action
+   * @returns {object}
+   */
+  _reduce(state, action) {
+    if (!isBatch(action)) {
+      return this._reducer(state, action);
+    }
+
+    const reduceAll = () => action.actions.reduce((nextState, batched) => this._reduce(nextState, batched), state);
+    if (!action.transaction) {
+      return reduceAll();
+    }
+
+    try {
+      return reduceAll();
+    } catch (error) {
+      // Rolls back the whole batch. The error is thrown by `dispatch`, once the state stream is safe.
+      this._rolledBack.set(action, error);
+      if (this._scheduler) {
+        // `dispatch` has already returned.
+        console.error('[rx-tiny-flux] Transaction rolled back:', error);
+      }
+      return state;
+    }
+  }
+
+  /**
+   * Settles the `dispatchAsync` promise of a reduced action, and of the actions of a batch.
+   * @private
+   * @param {Action} action
+   * @param {any} [error] - The error of the rolled back transaction the action belongs to.
+   */
+  _settleDispatch(action, error) {
+    const pending = this._pendingDispatches.get(action);
+    if (pending) {
+      this._pendingDispatches.delete(action);
+      if (error) {
+        pending.reject(error);
+      } else {
+        pending.resolve(this._state$.getValue());
+      }
+    }
+
+    if (isBatch(action)) {
+      action.actions.forEach(batched => this._settleDispatch(batched, error || this._rolledBack.get(batched)));
+    }
+  }
+
+  /**
+   * Returns the actions a dispatched action stands for: itself, or the actions of a batch
+   * (none if the batch was rolled back).
+   * @private
+   * @param {Action} action
+   * @returns {Action[]}
+   */
+  _unbatch(action) {
+    if (!isBatch(action)) {
+      return [action];
+    }
+    if (this._rolledBack.has(action)) {
+      return [];
+    }
+    return action.actions.reduce((actions, batched) => actions.concat(this._unbatch(batched)), []);
+  }
+
+  /**
+   * The root reducer: runs every registered feature reducer against its state slice.
+   * Feature keys may be nested paths such as `'settings.display'`.
+   * @private
+   * @param {object} currentState
+   * @param {Action} action
+   * @returns {object}
+   */
+  _rootReducer(currentState, action) {
+    // Changed slices are written with `setIn`, which only copies the objects along their path.
+    // This is key to preserving references for unchanged state slices, which allows memoized selectors to work.
+    let nextState = currentState;
+    let hasChanged = false;
+
+    this._reducers.forEach(({ path: featureKey, reducerFn }) => {
+      // Gets the current state slice.
+      const stateSlice = getIn(currentState, featureKey);
+
+      // Executes the reducer to get the new slice.
+      let nextStateSlice;
+      const start = this._profiler ? this._profiler.now() : 0;
+      try {
+        nextStateSlice = reducerFn(stateSlice, action);
+        if (this._profiler) {
+          this._profiler.reducer(featureKey, this._profiler.now() - start);
+        }
+        if (stateSlice !== nextStateSlice) {
+          checkState(nextStateSlice, featureKey, action, this._runtimeChecks);
+        }
+      } catch (e) {
+        const error = this._runtimeChecks.stateImmutability ? reportMutation(e, featureKey, action) : e;
+        if (!(error instanceof RuntimeCheckError)) {
+          throw error;
+        }
+        // A runtime check violation is reported, and the slice is left unchanged so the store keeps running.
+        console.error(error.message);
+        return;
+      }
+
+      // If the reducer returned a new object reference, the slice has changed.
+      if (stateSlice !== nextStateSlice) {
+        nextState = setIn(nextState, featureKey, nextStateSlice);
+        hasChanged = true;
+      }
+    });
+
+    if (hasChanged && this._runtimeChecks.stateImmutability) {
+      // Also freezes the objects copied along the nested paths.
+      deepFreeze(nextState);
+    }
+
+    return hasChanged ? nextState : currentState;
   }
 
   /**
-   * Registers reducers in the store.
+   * Wraps the root reducer with the registered meta-reducers.
+   * Like NgRx, `[a, b]` results in `a(b(rootReducer))`.
+   * @private
+   * @returns {function(object, Action): object}
+   */
+  _composeReducer() {
+    const rootReducer = (state, action) => this._rootReducer(state, action);
+    return this._metaReducers.reduceRight((reducer, metaReducer) => metaReducer(reducer), rootReducer);
+  }
+
+  /**
+   * Registers meta-reducers in the store. They are appended after the ones already
+   * registered, so they wrap the root reducer more closely.
+   * @param {...function(function(object, Action): object): function(object, Action): object} metaReducers
+   */
+  registerMetaReducers(...metaReducers) {
+    metaReducers.forEach((metaReducer) => {
+      if (typeof metaReducer !== 'function') {
+        throw new Error('Meta-reducer must be a function.');
+      }
+    });
+
+    this._metaReducers.push(...metaReducers);
+    this._reducer = this._composeReducer();
+  }
+
+  /**
+   * Registers reducers in the store, then dispatches the `updateReducers` action.
    * @param {...{path: string, initialState: any, reducerFn: function(any, Action): any}} reducers
    */
   registerReducers(...reducers) {
     this._reducers.push(...reducers);
 
-    // Get the current state and prepare a shallow copy.
-    const currentState = this._state$.getValue();
-    const nextState = { ...currentState };
+    // Get the current state, copied along the paths of the added slices.
+    let nextState = this._state$.getValue();
     let hasChanged = false;
 
     reducers.forEach(({ path: featureKey, initialState }) => {
       // If the state slice has not been defined yet, apply the reducer's initial state.
-      if (nextState[featureKey] === undefined) {
-        nextState[featureKey] = initialState;
+      if (getIn(nextState, featureKey) === undefined) {
+        checkState(initialState, featureKey, { type: '@rx-tiny-flux/register-reducers' }, this._runtimeChecks);
+        nextState = setIn(nextState, featureKey, initialState);
         hasChanged = true;
       }
     });
@@ -106,6 +425,29 @@ export class Store {
     if (hasChanged) {
       this._state$.next(nextState);
     }
+
+    this.dispatch(updateReducers({ features: reducers.map(({ path }) => path) }));
+  }
+
+  /**
+   * Unregisters the reducers of the given feature keys and removes their slices from the state,
+   * then dispatches the `updateReducers` action.
+   * @param {...(string|string[])} featureKeys - Feature keys or nested paths.
+   */
+  unregisterReducers(...featureKeys) {
+    featureKeys = featureKeys.map(toPath);
+    this._reducers = this._reducers.filter(({ path }) => !featureKeys.includes(path));
+
+    const currentState = this._state$.getValue();
+    const nextState = featureKeys.reduce((state, featureKey) => removeIn(state, featureKey), currentState);
+    const hasChanged = nextState !== currentState;
+
+    // Only emit a new state if a feature slice was actually removed.
+    if (hasChanged) {
+      this._state$.next(nextState);
+    }
+
+    this.dispatch(updateReducers({ features: featureKeys }));
   }
 
   /**
@@ -117,50 +459,341 @@ export class Store {
     this._context = context;
   }
 
+  /**
+   * Reports an effect error to the `onEffectError` hook and dispatches the `effectError` action.
+   * @private
+   * @param {any} error
+   * @param {string} name - The name of the failing effect.
+   */
+  _reportEffectError(error, name) {
+    if (this._onEffectError) {
+      this._onEffectError(error, name);
+    } else {
+      console.error(`[rx-tiny-flux] Effect '${name}' errored:`, error);
+    }
+
+    const { name: errorName = 'Error', message = String(error) } = error instanceof Error ? error : {};
+    this.dispatch(effectError({ effect: name, error: { name: errorName, message } }));
+  }
+
+  /**
+   * Subscribes to a single effect.
+   * @private
+   * @param {function(import('rxjs').Observable<Action>): import('rxjs').Observable<Action>} effectFn
+   * @param {object|null} group - The effect group the effect belongs to, if any.
+   * @param {string} [key] - The property name of the effect in its group.
+   * @returns {Subscription}
+   */
+  _runEffect(effectFn, group, key) {
+    let subscription;
+    // Check for the metadata attached by createEffect
+    const config = getEffectConfig(effectFn, key);
+    let effect$ = group ? effectFn.call(group, this._effectActions$) : effectFn(this._effectActions$);
+
+    // The group can wrap the streams of its own effects.
+    if (group && typeof group.onRunEffects === 'function') {
+      effect$ = group.onRunEffects(effect$, config.name);
+    }
+
+    if (config.useEffectsErrorHandler) {
+      let retries = 0;
+      effect$ = effect$.pipe(
+        catchError((error, caught) => {
+          this._reportEffectError(error, config.name);
+          // Resubscribing to `caught` subscribes to the effect stream again, keeping the effect alive.
+          return retries++ < config.maxRetries ? caught : EMPTY;
+        })
+      );
+    }
+    const onError = (error) => this._reportEffectError(error, config.name);
+
+    if (config.dispatch) {
+      // If a context is set, automatically inject it into actions emitted by the effect.
+	  subscription = effect$.pipe(
+		map(action => {
+		  // If a context is set and the action doesn't already have a context, add it.
+		  return this._context && !action.context ? {...action, context: this._context} : action;
+		})
+	  ).subscribe({
+		next: action => {
+		  // A store whose effects are gated off doesn't dispatch their actions either, e.g. from timers.
+		  if (!this._effectsGate || this._effectsGate(action)) {
+		    this.dispatch(action);
+		  }
+		},
+		error: onError,
+	  });
+    } else {
+      // If dispatch is false, just subscribe to trigger the side-effect.
+      // The output is ignored.
+      subscription = effect$.subscribe({ error: onError });
+    }
+
+    const entry = { effectFn, group, subscription };
+    this._effects.push(entry);
+    // Forget the effect once it is torn down, whichever way it happens.
+    subscription.add(() => {
+      this._effects = this._effects.filter(e => e !== entry);
+    });
+    return subscription;
+  }
+
   /**
    * Registers effects in the store.
-   * @param {...function(import('rxjs').Observable<Action>): import('rxjs').Observable<Action>} effects
+   *
+   * Besides effect functions, effect groups can be registered: objects (or class instances) whose
+   * properties are effects created with `createEffect`. A group may implement two hooks:
+   * - `onInitEffects()`: returns an action dispatched once the group's effects are running.
+   * - `onRunEffects(effect$, name)`: wraps the stream of each of its effects.
+   *
+   * Unless `useEffectsErrorHandler` is disabled, an effect that errors is resubscribed up to `maxRetries` times.
+   * Once all the effects are running, the `effectsInit` action is dispatched.
+   *
+   * @param {...(function(import('rxjs').Observable<Action>): import('rxjs').Observable<Action>|object)} effects
+   * @returns {Subscription} A subscription that tears down all the given effects when unsubscribed.
    */
   registerEffects(...effects) {
-    effects.forEach((effectFn) => {
-      // Check for the metadata attached by createEffect
-      const config = effectFn._rxEffect || { dispatch: true };
-      let effect$ = effectFn(this._actions$);
-
-      if (config.dispatch) {
-        // If a context is set, automatically inject it into actions emitted by the effect.
-	    effect$.pipe(
-		  map(action => {
-		    // If a context is set and the action doesn't already have a context, add it.
-		    return this._context && !action.context ? {...action, context: this._context} : action;
-		  })
-	    ).subscribe(action => this.dispatch(action));
-      } else {
-        // If dispatch is false, just subscribe to trigger the side-effect.
-        // The output is ignored.
-        effect$.subscribe();
+    const handle = new Subscription();
+    const initActions = [];
+
+    effects.forEach((effect) => {
+      if (typeof effect === 'function') {
+        handle.add(this._runEffect(effect, null));
+        return;
+      }
+
+      // An effect group: run each property created with `createEffect`.
+      Object.keys(effect)
+        .filter(key => typeof effect[key] === 'function' && effect[key]._rxEffect)
+        .forEach(key => handle.add(this._runEffect(effect[key], effect, key)));
+
+      if (typeof effect.onInitEffects === 'function') {
+        initActions.push(effect.onInitEffects());
       }
     });
+
+    initActions.filter(Boolean).forEach(action => this.dispatch(action));
+    this.dispatch(effectsInit());
+
+    return handle;
+  }
+
+  /**
+   * Unregisters effects from the store, unsubscribing their streams.
+   * @param {...(function(import('rxjs').Observable<Action>): import('rxjs').Observable<Action>|object)} effects
+   *   Effect functions or effect groups.
+   */
+  unregisterEffects(...effects) {
+    this._effects
+      .filter(({ effectFn, group }) => effects.includes(effectFn) || (group && effects.includes(group)))
+      .forEach(({ subscription }) => subscription.unsubscribe());
+  }
+
+  /**
+   * Registers middlewares wrapping `dispatch`. They are appended after the ones already registered,
+   * so they run closer to the reducers.
+   *
+   * A middleware runs for every dispatched action, including the ones dispatched by effects and by the
+   * `storePlugin`. It can change the action before passing it to `next`, drop it by not calling `next`,
+   * or dispatch other actions with `dispatch`, which go through the whole chain again.
+   *
+   * The chain is composed once, when middlewares are added or removed, so the `next =>` layer of a
+   * middleware can keep state between actions.
+   *
+   * @param {...Middleware} middlewares
+   * @returns {Subscription} A subscription that removes the given middlewares when unsubscribed.
+   */
+  use(...middlewares) {
+    middlewares.forEach((middleware) => {
+      if (typeof middleware !== 'function') {
+        throw new Error('Middleware must be a function.');
+      }
+    });
+
+    const api = {
+      getState: () => this.getState(),
+      dispatch: (action) => this.dispatch(action),
+    };
+    const entries = middlewares.map(middleware => middleware(api));
+    this._middlewares.push(...entries);
+    this._composeMiddlewares();
+
+    return new Subscription(() => {
+      this._middlewares = this._middlewares.filter(entry => !entries.includes(entry));
+      this._composeMiddlewares();
+    });
+  }
+
+  /**
+   * Composes the middlewares into the dispatch chain.
+   * @private
+   */
+  _composeMiddlewares() {
+    this._dispatchChain = this._middlewares.reduceRight((next, middleware) => middleware(next), (action) => this._deliverFromChain(action));
   }
 
   /**
    * Dispatches an action to the store, initiating the state update cycle.
+   * The action goes through the middlewares first (see `use`).
    * @param {Action} action
+   * @returns {any} What the middlewares return, if any.
    */
   dispatch(action) {
+    const dispatching = { action, reached: false };
+    this._dispatching.push(dispatching);
+    let result;
+    try {
+      result = this._dispatchChain(action);
+    } finally {
+      this._dispatching.splice(this._dispatching.lastIndexOf(dispatching), 1);
+    }
+
+    // Dropped by a middleware: the `dispatchAsync` promise is resolved with the unchanged state.
+    if (!dispatching.reached) {
+      this._settleDispatch(action);
+    }
+    return result;
+  }
+
+  /**
+   * The end of the middleware chain.
+   * @private
+   * @param {Action} action
+   */
+  _deliverFromChain(action) {
+    // A middleware may pass on another action object: the `dispatchAsync` promise follows it.
+    // An action passed on after `dispatch` returned is delivered as it is.
+    const dispatching = this._dispatching[this._dispatching.length - 1];
+    if (dispatching && !dispatching.reached) {
+      if (action !== dispatching.action && this._pendingDispatches.has(dispatching.action)) {
+        this._pendingDispatches.set(action, this._pendingDispatches.get(dispatching.action));
+        this._pendingDispatches.delete(dispatching.action);
+      }
+      dispatching.reached = true;
+    }
+    return this._deliver(action);
+  }
+
+  /**
+   * Passes an action that went through the middlewares on to the reducers and the effects.
+   * @private
+   * @param {Action} action
+   */
+  _deliver(action) {
+    checkAction(action, this._runtimeChecks);
+    if (this._batchQueue) {
+      this._batchQueue.push(action);
+      return;
+    }
+
     this._actions$.next(action);
+
+    if (this._rolledBack.has(action)) {
+      throw this._rolledBack.get(action);
+    }
+  }
+
+  /**
+   * Dispatches an action and returns a promise resolved with the new state once the reducers ran.
+   * This is useful when the store has a scheduler, or inside `batch`.
+   * If a middleware drops the action, or doesn't pass it on right away, the promise is resolved with the
+   * state as it is once the middlewares returned.
+   * @param {Action} action
+   * @returns {Promise<object>} Rejected if the action is invalid or its transaction is rolled back.
+   */
+  dispatchAsync(action) {
+    return new Promise((resolve, reject) => {
+      this._pendingDispatches.set(action, { resolve, reject });
+      try {
+        this.dispatch(action);
+      } catch (error) {
+        this._pendingDispatches.delete(action);
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * Runs a function and dispatches the actions it dispatches as a single batch (see `batchActions`):
+   * they are reduced in one pass and the state is emitted once. Batches can be nested.
+   * If the function throws, none of its actions are dispatched.
+   * Each action goes through the middlewares when it is dispatched by the function: the batch
+   * that groups them doesn't go through them again.
+   * @param {function(): void} fn
+   * @param {object} [options]
+   * @param {boolean} [options.transaction=false] - If true and a reducer throws, the state is rolled back
+   *   to what it was before the batch, and the reducer error is thrown.
+   */
+  batch(fn, options = {}) {
+    const outerQueue = this._batchQueue;
+    const queue = [];
+
+    this._batchQueue = queue;
+    try {
+      fn();
+    } finally {
+      this._batchQueue = outerQueue;
+    }
+
+    if (queue.length > 0) {
+      this._deliver(batchActions(queue, options));
+    }
+  }
+
+  /**
+   * Returns the current state.
+   * @returns {object}
+   */
+  getState() {
+    return this._state$.getValue();
+  }
+
+  /**
+   * Reads a selector against the current state, synchronously.
+   * Selectors created with `createSelector` are memoized, so reading it again without a state change is cheap.
+   * @param {function(object, ...any): any} selectorFn - The selector function.
+   * @param {...any} props - Optional props passed to the selector after the state.
+   * @returns {any}
+   */
+  selectSnapshot(selectorFn, ...props) {
+    return this._runSelector(selectorFn, this.getState(), props);
+  }
+
+  /**
+   * Selects a slice of the state as a signal: a function returning the current value, whose
+   * `subscribe` notifies only when the value changes. Signals can be combined with `computed`.
+   * @param {function(object, ...any): any} selectorFn - The selector function.
+   * @param {...any} props - Optional props passed to the selector after the state.
+   * @returns {import('./signals').Signal<any>}
+   */
+  selectSignal(selectorFn, ...props) {
+    return createStoreSignal(this, selectorFn, props);
+  }
+
+  /**
+   * Runs a selector against a state, reporting its recomputations to the profiler, if any.
+   * @private
+   * @param {function(object, ...any): any} selectorFn
+   * @param {object} state
+   * @param {any[]} props
+   * @returns {any}
+   */
+  _runSelector(selectorFn, state, props) {
+    return this._profiler ? observeSelectors(this._profiler, () => selectorFn(state, ...props)) : selectorFn(state, ...props);
   }
 
   /**
    * Selects a slice of the state and returns it as an Observable.
-   * @param {function(object): any} selectorFn - The selector function.
+   * @param {function(object, ...any): any} selectorFn - The selector function.
+   * @param {...any} props - Optional props passed to the selector after the state.
    * @returns {import('rxjs').Observable<any>}
    */
-  select(selectorFn) {
-    return this._state$.pipe(
-      map(state => selectorFn(state)),
+  select(selectorFn, ...props) {
+    const selected$ = this._state$.pipe(
+      map(state => this._runSelector(selectorFn, state, props)),
       // Emits only when the selected value has actually changed.
       distinctUntilChanged()
     );
+    return this._profiler ? this._profiler.trackSelect(selectorFn, selected$) : selected$;
   }
 }
@@ -0,0 +1,244 @@
+import { skip } from 'rxjs/operators';
+import { createAction } from './actions.js';
+import { getIn, removeIn, setIn, toPath, toSegments } from './paths.js';
+
+/**
+ * @typedef {import('./types').Action} Action
+ */
+
+/**
+ * @typedef {object} PatchOperation
+ * @property {'add'|'replace'|'remove'} op
+ * @property {string} path - A JSON pointer from the root of the state, e.g. `/settings/brightness`.
+ * @property {any} [value] - The new value, for `add` and `replace`.
+ */
+
+/**
+ * The changes of the mirrored slices, sent after each reduction. It carries the sender's
+ * `session`, its sequence number `seq` and the `patch` (a list of `PatchOperation`).
+ */
+export const syncPatch = createAction('@rx-tiny-flux/sync-patch');
+
+/**
+ * The full mirrored slices, sent on request or by the primary side when it connects. It carries
+ * the sender's `session`, its sequence number `seq` and the `state`, keyed by feature key.
+ */
+export const syncSnapshot = createAction('@rx-tiny-flux/sync-snapshot');
+
+/**
+ * Asks the other side for a `syncSnapshot`, when connecting or after a lost message.
+ */
+export const syncResync = createAction('@rx-tiny-flux/sync-resync');
+
+/**
+ * Returns whether a value is a plain object (and not an array, null, etc.).
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * Creates a session id, which tells the patches of a restarted side from the ones sent before.
+ * @returns {string}
+ */
+function createSessionId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Converts path keys into a JSON pointer, escaping `~` and `/`.
+ * @param {string[]} segments
+ * @returns {string}
+ */
+function toPointer(segments) {
+  return segments.map((key) => `/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`).join('');
+}
+
+/**
+ * Converts a JSON pointer into path keys.
+ * @param {string} pointer
+ * @returns {string[]}
+ */
+function fromPointer(pointer) {
+  return pointer.split('/').slice(1).map((key) => key.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+ * Computes the JSON patch-style operations turning a value into another. Plain objects are compared
+ * key by key, while any other value (arrays included) is replaced as a whole. Unchanged references
+ * are skipped, so the cost depends on the changed parts only.
+ * @param {any} prev
+ * @param {any} next
+ * @param {string[]} [segments=[]] - The path of the values.
+ * @returns {PatchOperation[]}
+ */
+export function diff(prev, next, segments = []) {
+  if (prev === next) {
+    return [];
+  }
+
+  if (isPlainObject(prev) && isPlainObject(next)) {
+    const removed = Object.keys(prev)
+      .filter((key) => !(key in next))
+      .map((key) => ({ op: 'remove', path: toPointer([...segments, key]) }));
+    return Object.keys(next).reduce((ops, key) => ops.concat(diff(prev[key], next[key], [...segments, key])), removed);
+  }
+
+  if (next === undefined) {
+    return [{ op: 'remove', path: toPointer(segments) }];
+  }
+  return [{ op: prev === undefined ? 'add' : 'replace', path: toPointer(segments), value: next }];
+}
+
+/**
+ * Applies patch operations to a state, copying only the objects along the changed paths.
+ * @param {object} state
+ * @param {PatchOperation[]} patch
+ * @returns {object}
+ */
+export function applyPatch(state, patch) {
+  return patch.reduce((nextState, { op, path, value }) => {
+    const segments = fromPointer(path);
+    return op === 'remove' ? removeIn(nextState, segments) : setIn(nextState, segments, value);
+  }, state);
+}
+
+/**
+ * Mirrors feature slices between two stores, such as the App store and the Side Service store.
+ *
+ * After each reduction, the changes of the mirrored slices are sent to the other side as a
+ * `syncPatch`, numbered with a sequence number. The received patches are applied in order: if a
+ * number is missing, the patch is dropped and a `syncResync` asks the other side for a full `syncSnapshot`.
+ * Changes applied from the other side are not sent back. When both sides change the same value
+ * at the same time, the last received change wins.
+ *
+ * Each side numbers its patches within a session, which starts with it: a patch from a new session
+ * (the other side restarted) is not applied until a snapshot of that session is received.
+ *
+ * One side is the source of truth, the `primary` one: when connecting, it sends its snapshot, while the
+ * other side asks for one. So whichever starts last, both end up with the state of the primary side.
+ *
+ * The `storePlugin` creates it when the `sync` option is set, with the App as the primary side, and
+ * passes the messages it receives to `handleMessage`. Call `connect` once connected.
+ *
+ * @param {import('./store').Store} store - The store to synchronize.
+ * @param {object} config
+ * @param {Array<string|string[]>} config.features - The feature keys (or nested paths) to mirror.
+ * @param {function(Action): void} config.send - Sends a message to the other side.
+ * @param {boolean} [config.primary=false] - Whether the state of this side wins when connecting.
+ * @returns {{
+ *   handleMessage: function(Action): boolean,
+ *   connect: function(): void,
+ *   requestSnapshot: function(): void,
+ *   unsubscribe: function(): void
+ * }} `handleMessage` returns true if the message was a sync message, which must not be dispatched.
+ */
+export function createStateSync(store, config) {
+  const { features, send, primary = false } = config || {};
+  if (!Array.isArray(features) || typeof send !== 'function') {
+    throw new Error('[rx-tiny-flux] createStateSync: the `features` to mirror and a `send` function must be provided.');
+  }
+
+  const paths = features.map(toSegments);
+  let active = true;
+  // The last state whose mirrored slices are known to the other side.
+  let baseline = store._state$.getValue();
+  const session = createSessionId();
+  // The number of the last patch sent, and the session and number of the last patch received
+  // (null before the first snapshot).
+  let seq = 0;
+  let remoteSession = null;
+  let remoteSeq = null;
+  let awaitingSnapshot = false;
+
+  // Applies the received patches and snapshots, so the reducers and selectors see them like any other change.
+  store.registerMetaReducers((reducer) => (state, action) => {
+    if (active && action.type === syncPatch.type) {
+      state = applyPatch(state, action.patch);
+    } else if (active && action.type === syncSnapshot.type) {
+      state = Object.keys(action.state).reduce((nextState, featureKey) => setIn(nextState, featureKey, action.state[featureKey]), state);
+    }
+
+    const nextState = reducer(state, action);
+    if (active && (action.type === syncPatch.type || action.type === syncSnapshot.type)) {
+      // Not sent back to the other side.
+      baseline = nextState;
+    }
+    return nextState;
+  });
+
+  const subscription = store._state$.pipe(skip(1)).subscribe((state) => {
+    const patch = paths.reduce((ops, segments) => ops.concat(diff(getIn(baseline, segments), getIn(state, segments), segments)), []);
+    baseline = state;
+    if (patch.length > 0) {
+      seq++;
+      send(syncPatch({ session, seq, patch }));
+    }
+  });
+
+  const requestSnapshot = () => {
+    send(syncResync());
+  };
+
+  const sendSnapshot = () => {
+    const state = store._state$.getValue();
+    send(syncSnapshot({
+      session,
+      seq,
+      state: paths.reduce((snapshot, segments) => ({ ...snapshot, [toPath(segments)]: getIn(state, segments) }), {}),
+    }));
+  };
+
+  return {
+    handleMessage(message) {
+      if (!message || ![syncPatch.type, syncSnapshot.type, syncResync.type].includes(message.type)) {
+        return false;
+      }
+      if (!active) {
+        return true;
+      }
+
+      if (message.type === syncResync.type) {
+        sendSnapshot();
+      } else if (message.type === syncSnapshot.type) {
+        remoteSession = message.session;
+        remoteSeq = message.seq;
+        awaitingSnapshot = false;
+        store.dispatch(syncSnapshot({ session: message.session, seq: message.seq, state: message.state }));
+      } else if (remoteSeq !== null && message.session === remoteSession && message.seq <= remoteSeq) {
+        // A duplicated message, already applied.
+      } else if (remoteSeq === null || message.session !== remoteSession || message.seq > remoteSeq + 1) {
+        // A patch was lost, or the other side restarted: the following ones can't be applied until the state is resynchronized.
+        if (!awaitingSnapshot) {
+          awaitingSnapshot = true;
+          requestSnapshot();
+        }
+      } else {
+        remoteSeq = message.seq;
+        store.dispatch(syncPatch({ session: message.session, seq: message.seq, patch: message.patch }));
+      }
+      return true;
+    },
+
+    /**
+     * Brings the other side up to date when connecting: the primary side sends its snapshot,
+     * the other one asks for the snapshot of the primary side.
+     */
+    connect() {
+      if (primary) {
+        sendSnapshot();
+      } else {
+        requestSnapshot();
+      }
+    },
+
+    requestSnapshot,
+
+    unsubscribe() {
+      active = false;
+      subscription.unsubscribe();
+    },
+  };
+}
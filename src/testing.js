@@ -0,0 +1,293 @@
+/**
+ * @file testing.js
+ * @description The `rx-tiny-flux/testing` entry point. It provides a `MockStore`, helpers to run
+ * effects against mock actions (with RxJS marble tests) and a fake ZeppOS environment, so code
+ * using the store and the `storePlugin` can be unit-tested in Node.
+ */
+
+import { from, isObservable, of } from 'rxjs';
+import { distinctUntilChanged, map } from 'rxjs/operators';
+import { TestScheduler } from 'rxjs/testing';
+import { Store } from './store.js';
+
+/**
+ * @typedef {import('./types').Action} Action
+ */
+
+/**
+ * A store for tests: its state is set directly with `setState`, selectors can be overridden
+ * with fixed values, and the dispatched actions are recorded in `dispatchedActions`.
+ * Reducers and effects can still be registered if a test needs them.
+ */
+export class MockStore extends Store {
+  /**
+   * The actions dispatched to the store, in order.
+   * @type {Action[]}
+   */
+  dispatchedActions = [];
+
+  /**
+   * @private
+   * @type {Map<Function, any>}
+   */
+  _overrides = new Map();
+
+  /**
+   * @param {object} [config]
+   * @param {object} [config.initialState={}] - The initial state.
+   * @param {Array<{selector: Function, value: any}>} [config.selectors=[]] - Selectors to override from the start.
+   */
+  constructor({ initialState = {}, selectors = [] } = {}) {
+    super(initialState);
+    selectors.forEach(({ selector, value }) => this.overrideSelector(selector, value));
+  }
+
+  /**
+   * Replaces the whole state.
+   * @param {object} state
+   */
+  setState(state) {
+    this._state$.next(state);
+  }
+
+  /**
+   * Makes a selector return a fixed value, both in `select` and when it is used as the
+   * input of other selectors created with `createSelector`.
+   * @param {Function} selector
+   * @param {any} value
+   */
+  overrideSelector(selector, value) {
+    this._overrides.set(selector, value);
+    if (typeof selector.setResult === 'function') {
+      selector.setResult(value);
+    }
+  }
+
+  /**
+   * Removes all selector overrides.
+   */
+  resetSelectors() {
+    this._overrides.forEach((value, selector) => {
+      if (typeof selector.clearResult === 'function') {
+        selector.clearResult();
+      }
+      if (typeof selector.release === 'function') {
+        selector.release();
+      }
+    });
+    this._overrides.clear();
+  }
+
+  /**
+   * Emits the current state again, so the selectors are re-evaluated after an override.
+   */
+  refreshState() {
+    this._state$.next({ ...this._state$.getValue() });
+  }
+
+  /**
+   * Records the action, then dispatches it.
+   * @param {Action} action
+   */
+  dispatch(action) {
+    // The base constructor dispatches `init` before the class fields are set.
+    if (this.dispatchedActions) {
+      this.dispatchedActions.push(action);
+    }
+    super.dispatch(action);
+  }
+
+  /**
+   * Reads a selector against the current state, returning the overridden value if the selector was overridden.
+   * @param {function(object, ...any): any} selectorFn
+   * @param {...any} props
+   * @returns {any}
+   */
+  selectSnapshot(selectorFn, ...props) {
+    return this._overrides.has(selectorFn) ? this._overrides.get(selectorFn) : selectorFn(this.getState(), ...props);
+  }
+
+  /**
+   * Selects a slice of the state, returning the overridden value if the selector was overridden.
+   * @param {function(object, ...any): any} selectorFn
+   * @param {...any} props
+   * @returns {import('rxjs').Observable<any>}
+   */
+  select(selectorFn, ...props) {
+    // The override is checked on each state, so overriding or resetting a selector applies to existing subscriptions.
+    return this._state$.pipe(
+      map(state => (this._overrides.has(selectorFn) ? this._overrides.get(selectorFn) : selectorFn(state, ...props))),
+      distinctUntilChanged()
+    );
+  }
+}
+
+/**
+ * Converts mock actions into an actions stream: an observable (e.g. a `hot`/`cold` marble
+ * observable) is used as is, an array emits its actions, and a single action emits itself.
+ * @param {import('rxjs').Observable<Action>|Action[]|Action} source
+ * @returns {import('rxjs').Observable<Action>}
+ */
+export function provideMockActions(source) {
+  if (isObservable(source)) {
+    return source;
+  }
+  return Array.isArray(source) ? from(source) : of(source);
+}
+
+/**
+ * Runs an effect created with `createEffect` against mock actions, and returns its output stream.
+ * @param {function(import('rxjs').Observable<Action>): import('rxjs').Observable<any>} effectFn
+ * @param {import('rxjs').Observable<Action>|Action[]|Action} actions
+ * @returns {import('rxjs').Observable<any>}
+ */
+export function runEffect(effectFn, actions) {
+  return effectFn(provideMockActions(actions));
+}
+
+/**
+ * Deep equality of plain values, used to compare marble frames.
+ * @param {any} a
+ * @param {any} b
+ * @returns {boolean}
+ */
+function deepEqual(a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') {
+    return Number.isNaN(a) && Number.isNaN(b);
+  }
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  return keysA.length === keysB.length && keysA.every((key) => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key]));
+}
+
+/**
+ * Creates an RxJS `TestScheduler` for marble tests. Its `run` callback provides the `hot`,
+ * `cold` and `expectObservable` helpers.
+ * @param {function(any, any): void} [assertDeepEqual] - The assertion comparing the actual and
+ *   expected frames, e.g. `(actual, expected) => expect(actual).toEqual(expected)`.
+ *   Defaults to a deep equality check that throws an error.
+ * @returns {TestScheduler}
+ */
+export function createTestScheduler(assertDeepEqual) {
+  return new TestScheduler(assertDeepEqual || ((actual, expected) => {
+    if (!deepEqual(actual, expected)) {
+      throw new Error(`Marble frames differ.\nActual:   ${JSON.stringify(actual)}\nExpected: ${JSON.stringify(expected)}`);
+    }
+  }));
+}
+
+/**
+ * Creates a fake ZeppOS component instance (App, Page or Side Service), with the members used
+ * by the `storePlugin`, `propagateAction` and `withLatestFromStore`.
+ *
+ * - `call(data)` records the propagated data in `calls`.
+ * - `debug(message)` records the messages in `logs`.
+ * - `messaging.onCall`/`offOnCall` register the handlers, and `messaging.receive(data)` simulates
+ *   a message from the other side.
+ *
+ * @param {object} [overrides] - Members added to the instance, e.g. `_store` or a `toast` plugin.
+ * @returns {object} The fake instance.
+ */
+export function createMockContext(overrides = {}) {
+  const handlers = [];
+  const context = {
+    calls: [],
+    logs: [],
+    call: (data) => { context.calls.push(data); },
+    debug: (message) => { context.logs.push(message); },
+    messaging: {
+      onCall: (handler) => { handlers.push(handler); },
+      offOnCall: (handler) => {
+        const index = handlers.indexOf(handler);
+        if (index !== -1) {
+          handlers.splice(index, 1);
+        }
+      },
+      receive: (data) => handlers.slice().forEach((handler) => handler(data)),
+    },
+    ...overrides,
+  };
+  return context;
+}
+
+/**
+ * Connects two fake instances created with `createMockContext`, usually an App and a Side Service,
+ * so that `call(data)` on one of them is received by the `messaging.onCall` handlers of the other.
+ * This stands in for the ZeppOS messaging in Node. The data is copied through JSON, like a real message.
+ *
+ * The returned function removes the link. It also has methods to simulate a lost connection:
+ * `disconnect()` drops the messages (they are still recorded in `calls`), `reconnect()` delivers
+ * them again, and `isConnected()` can be passed as the `isConnected` option of the outbox.
+ *
+ * @param {object} first
+ * @param {object} second
+ * @param {object} [options]
+ * @param {number} [options.latency] - The delivery delay in milliseconds. Messages are delivered synchronously if omitted.
+ * @returns {(function(): void) & {disconnect: function(): void, reconnect: function(): void, isConnected: function(): boolean}}
+ */
+export function linkMockContexts(first, second, { latency } = {}) {
+  let connected = true;
+
+  const link = (from, to) => {
+    const call = from.call;
+    from.call = (data) => {
+      call(data);
+      if (!connected) {
+        return;
+      }
+      const message = JSON.parse(JSON.stringify(data));
+      if (latency === undefined) {
+        to.messaging.receive(message);
+      } else {
+        setTimeout(() => to.messaging.receive(message), latency);
+      }
+    };
+    return () => {
+      from.call = call;
+    };
+  };
+
+  const unlinks = [link(first, second), link(second, first)];
+  const unlinkAll = () => unlinks.forEach((unlink) => unlink());
+  unlinkAll.disconnect = () => {
+    connected = false;
+  };
+  unlinkAll.reconnect = () => {
+    connected = true;
+  };
+  unlinkAll.isConnected = () => connected;
+  return unlinkAll;
+}
+
+/**
+ * Installs the ZeppOS globals needed by the `storePlugin` and the environment operators:
+ * `getApp()` returning the given App, and the `messaging` global of the Side Service.
+ * @param {object} [config]
+ * @param {object} [config.app] - The instance returned by `getApp()`.
+ * @param {boolean} [config.sideService=false] - If true, defines the `messaging` global, so the code
+ *   behaves as if it were running in the Side Service.
+ * @returns {function(): void} A function that restores the previous globals.
+ */
+export function mockZeppEnvironment({ app, sideService = false } = {}) {
+  const previous = { getApp: globalThis.getApp, messaging: globalThis.messaging };
+
+  globalThis.getApp = () => app;
+  if (sideService) {
+    globalThis.messaging = {};
+  } else {
+    delete globalThis.messaging;
+  }
+
+  return () => {
+    ['getApp', 'messaging'].forEach((key) => {
+      if (previous[key] === undefined) {
+        delete globalThis[key];
+      } else {
+        globalThis[key] = previous[key];
+      }
+    });
+  };
+}
@@ -0,0 +1,165 @@
+import { createAction } from './actions.js';
+import { createFeatureSelector, createSelector } from './selectors.js';
+
+/**
+ * @typedef {import('./types').Action} Action
+ */
+
+/**
+ * @typedef {object} History
+ * @property {any[]} past - The previous states, the most recent last.
+ * @property {any} present - The current state.
+ * @property {any[]} future - The undone states, the next one first.
+ * @property {any} [lastGroup] - The group of the last recorded action, see the `groupBy` option.
+ */
+
+/**
+ * Undoes the last change. Pass `{ featureKey }` to target a single undoable reducer,
+ * otherwise all of them are affected.
+ */
+export const undo = createAction('@rx-tiny-flux/undo');
+
+/**
+ * Redoes the last undone change. Accepts `{ featureKey }` like `undo`.
+ */
+export const redo = createAction('@rx-tiny-flux/redo');
+
+/**
+ * Moves in the history by `index` steps: negative to undo, positive to redo. Accepts `{ featureKey }` like `undo`.
+ */
+export const jump = createAction('@rx-tiny-flux/jump');
+
+/**
+ * Clears the past and future states, keeping the present. Accepts `{ featureKey }` like `undo`.
+ */
+export const clearHistory = createAction('@rx-tiny-flux/clear-history');
+
+/**
+ * Moves the history by a number of steps.
+ * @param {History} history
+ * @param {number} steps - Negative to undo, positive to redo.
+ * @returns {History}
+ */
+function move(history, steps) {
+  const { past, present, future } = history;
+
+  if (steps < 0 && past.length > 0) {
+    const index = Math.max(0, past.length + steps);
+    return {
+      past: past.slice(0, index),
+      present: past[index],
+      future: [...past.slice(index + 1), present, ...future],
+      lastGroup: null,
+    };
+  }
+
+  if (steps > 0 && future.length > 0) {
+    const index = Math.min(future.length, steps) - 1;
+    return {
+      past: [...past, present, ...future.slice(0, index)],
+      present: future[index],
+      future: future.slice(index + 1),
+      lastGroup: null,
+    };
+  }
+
+  return history;
+}
+
+/**
+ * Builds the function deciding which actions create history entries.
+ * @param {function(Action): boolean|Array<string|{type: string}>} [filter]
+ * @returns {function(Action): boolean}
+ */
+function toActionFilter(filter) {
+  if (typeof filter === 'function') {
+    return filter;
+  }
+  if (Array.isArray(filter)) {
+    const types = filter.map(t => (typeof t === 'function' ? t.type : t));
+    return (action) => types.includes(action.type);
+  }
+  return () => true;
+}
+
+/**
+ * Higher-order reducer that keeps an undo/redo history (`{ past, present, future }`) of a slice.
+ * It returns the same `{ path, initialState, reducerFn }` shape, so it can be passed to `registerReducers`.
+ *
+ * @param {{path: string, initialState: any, reducerFn: function(any, Action): any}} reducer - A reducer created with `createReducer`.
+ * @param {object} [config]
+ * @param {number} [config.limit=50] - The maximum number of past states kept.
+ * @param {function(Action): boolean|Array<string|{type: string}>} [config.filter] - The actions that create
+ *   history entries: a predicate, or a list of action creators/types. Other actions update the present only.
+ * @param {function(Action): any} [config.groupBy] - Returns a group for an action. Consecutive actions of the
+ *   same (non-null) group create a single history entry.
+ * @returns {{path: string, initialState: History, reducerFn: function(History, Action): History}}
+ */
+export function undoable(reducer, config = {}) {
+  const { limit = 50, groupBy = () => null } = config;
+  const shouldRecord = toActionFilter(config.filter);
+  const featureKey = reducer.path;
+
+  /** @type {History} */
+  const initialState = { past: [], present: reducer.initialState, future: [], lastGroup: null };
+
+  // The history actions target this reducer when they have no `featureKey` or this one.
+  const targets = (action) => action.featureKey === undefined || action.featureKey === featureKey;
+
+  const reducerFn = (state = initialState, action) => {
+    if (targets(action)) {
+      switch (action.type) {
+        case undo.type:
+          return move(state, -1);
+        case redo.type:
+          return move(state, 1);
+        case jump.type:
+          return move(state, action.index || 0);
+        case clearHistory.type:
+          return state.past.length || state.future.length ? { ...initialState, present: state.present } : state;
+      }
+    }
+
+    const present = reducer.reducerFn(state.present, action);
+    if (present === state.present) {
+      return state;
+    }
+
+    if (!shouldRecord(action)) {
+      return { ...state, present };
+    }
+
+    const group = groupBy(action);
+    if (group !== null && group !== undefined && group === state.lastGroup) {
+      // Same group as the last recorded action: replace the present without a new entry.
+      return { ...state, present, future: [] };
+    }
+
+    const past = [...state.past, state.present];
+    return {
+      past: past.length > limit ? past.slice(past.length - limit) : past,
+      present,
+      future: [],
+      lastGroup: group,
+    };
+  };
+
+  return { path: featureKey, initialState, reducerFn };
+}
+
+/**
+ * Creates memoized selectors for a slice managed by `undoable`.
+ * @param {string|function(object): History} selectHistory - The feature key of the slice, or a selector returning it.
+ * @returns {{selectPresent: Function, selectPast: Function, selectFuture: Function, selectCanUndo: Function, selectCanRedo: Function}}
+ */
+export function createUndoableSelectors(selectHistory) {
+  const selectState = typeof selectHistory === 'string' ? createFeatureSelector(selectHistory) : selectHistory;
+
+  return {
+    selectPresent: createSelector(selectState, (history) => history.present),
+    selectPast: createSelector(selectState, (history) => history.past),
+    selectFuture: createSelector(selectState, (history) => history.future),
+    selectCanUndo: createSelector(selectState, (history) => history.past.length > 0),
+    selectCanRedo: createSelector(selectState, (history) => history.future.length > 0),
+  };
+}
@@ -21,19 +21,16 @@ import {filter, map, tap} from 'rxjs';
 export const withLatestFromStore = (selector) => (source$) => source$.pipe(
     // Validate that the store is available on the action's context.
     tap(action => {
-      if (!action.context || !action.context._store || !action.context._store._state$) {
+      if (!action.context || !action.context._store || typeof action.context._store.selectSnapshot !== 'function') {
         throw new Error(
           '[rx-tiny-flux] `withLatestFromStore` could not find a valid store on `action.context._store`. Ensure the `storePlugin` is correctly configured.'
         );
       }
     }),
     // Combine the action with the latest state slice from the store.
-    // This is more direct and performant than using `mergeMap` because `_state$`
-    // is a BehaviorSubject, allowing synchronous access to its current value.
-    map(action => {
-      const state = action.context._store._state$.getValue();
-      return [action, selector(state)];
-    })
+    // This is more direct and performant than using `mergeMap` because the store
+    // can be read synchronously.
+    map(action => [action, action.context._store.selectSnapshot(selector)])
 );
 
 /**
@@ -55,10 +52,18 @@ export const isApp = () => filter(() => typeof messaging === 'undefined');
  * It uses the `context.call` method injected by the ZML plugin system. The `context`
  * property is removed from the action before sending to avoid circular data.
  *
+ * With `{ durable: true }`, the action is queued in the outbox set up with the `outbox` option of the
+ * `storePlugin`, and sent until the other side acknowledges it, even after a disconnection or a restart.
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.durable=false] - Queues the action in the outbox instead of sending it once.
  * @returns {import('rxjs').OperatorFunction<Action, Action>} An operator that performs the side effect of calling the other context.
  */
-export const propagateAction = () => tap((action) => {
-  if (action.context && typeof action.context.call === 'function') {
+export const propagateAction = (options = {}) => tap((action) => {
+  if (options.durable && action.context && action.context._outbox) {
+    action.context.debug(`Queuing action '${action.type}' in the outbox.`);
+    action.context._outbox.enqueue(action);
+  } else if (action.context && typeof action.context.call === 'function') {
     // Destructure to remove the context before sending.
     // The receiving side will inject its own context.
 	action.context.debug(`Propagation action '${action.type}' through messaging.call(action).`);
@@ -6,6 +6,46 @@
  */
 
 import { filter } from 'rxjs/operators';
+import { storePluginInit } from './lifecycle.js';
+import { createRequester } from './request.js';
+import { createStateSync } from './sync.js';
+import { createOutbox, createOutboxReceiver } from './outbox.js';
+import { createDispatchQueue } from './scheduling.js';
+import { ComponentStore } from './component-store.js';
+import { createRouterEffects, routerPageEnter, routerPageLeave, routerReducer } from './router.js';
+
+// Identifies the Pages recorded in the `router` slice.
+let lastRouteId = 0;
+
+/**
+ * Parses the params a Page was opened with, which ZeppOS passes as a string.
+ * @param {any} params
+ * @returns {any}
+ */
+function parseRouteParams(params) {
+  if (typeof params !== 'string') {
+    return params === undefined ? null : params;
+  }
+  try {
+    return JSON.parse(params);
+  } catch (e) {
+    return params;
+  }
+}
+
+/**
+ * Returns the options of the outbox receiver: the received ids are kept with the storage of the
+ * `outbox` option, next to the queue, or in memory only without it.
+ * @param {object} [outboxOptions] - The `outbox` option of the plugin.
+ * @returns {object}
+ */
+function receiverOptions(outboxOptions) {
+  if (!outboxOptions || !outboxOptions.storage) {
+    return {};
+  }
+  return { storage: outboxOptions.storage, key: `${outboxOptions.key || 'rx-tiny-flux-outbox'}-received` };
+}
+
 /**
  * Factory function that creates the store plugin for ZML's BaseApp/BasePage.
  * This plugin function is called by the ZML `.use()` method and adapts its behavior
@@ -15,10 +55,24 @@ import { filter } from 'rxjs/operators';
  * For `BasePage.use(storePlugin)`, it finds the store on the global App object.
  *
  * @param {object} instance - The App or Page instance (injected by ZML).
- * @param {Store} [store] - The store instance, provided only when used with `BaseApp`.
+ * @param {Store} [store] - The store instance, provided only when used with `BaseApp` or `BaseSideService`.
+ * @param {object} [options] - Options for the App and Side Service.
+ * @param {{features: Array<string|string[]>}} [options.sync] - Mirrors the given feature slices between the
+ *   App store and the Side Service store (see `createStateSync`). Set the same features on both sides.
+ * @param {object} [options.outbox] - Queues the actions propagated with `propagateAction({ durable: true })`
+ *   until the other side acknowledges them. The options of `createOutbox`, except `send`.
+ * @param {import('./scheduling').DispatchScheduler} [options.scheduler='macrotask'] - When the actions dispatched
+ *   with `this.dispatch` reach the store. Pages use the scheduler of the App.
+ * @param {number} [options.delay] - The delay of the `'macrotask'` scheduler (50 by default) or of an RxJS scheduler
+ *   (0 by default), in milliseconds.
+ * @param {import('./router').NavigationAdapter} [options.router] - Keeps the open pages in the `router` slice, and
+ *   performs the `navigateTo` and `back` actions through this adapter (App only).
  * @returns {object} A mixin object with methods and lifecycle hooks to be merged.
  */
-function storePlugin(instance, store) {
+function storePlugin(instance, store, options = {}) {
+  // The outbox created by this App or Side Service. Pages use the one of the App, without owning it.
+  let outbox = null;
+
   // This is the core logic: return a plugin object with different behaviors
   // for the App's `onCreate` and the Page/Service's `onInit`.
   return {
@@ -34,15 +88,65 @@ function storePlugin(instance, store) {
 
 	  this.debug('Attach the store and a dispatch method to the App instance.')
       this._store = store;
+      // A single queue for the App and its Pages, so their actions keep the order they were dispatched in.
+      this._dispatchQueue = createDispatchQueue(options.scheduler, options.delay);
       this.dispatch = (action) => {
-	    setTimeout(() => {
-          const actionWithContext = { ...action, context: this };
-          this._store.dispatch(actionWithContext);
-		}, 50)
+        this._dispatchQueue(() => this._store.dispatch({ ...action, context: this }));
       };
 
+      /**
+       * Dispatches an action like `dispatch`, and returns a promise resolved with the new state
+       * once the reducers ran.
+       * @param {import('./types').Action} action
+       * @returns {Promise<object>}
+       */
+      this.dispatchAsync = (action) => new Promise((resolve, reject) => {
+        this._dispatchQueue(() => this._store.dispatchAsync({ ...action, context: this }).then(resolve, reject));
+      });
+
+      // The request/response protocol: the responses are delivered to the component that sent the request.
+      this._requester = createRequester({
+        send: (message) => this.call(message),
+        deliver: (action, owner) => this._store.dispatch({ ...action, context: owner || this }),
+      });
+
+      /**
+       * Sends an action to the Side Service as a request, and waits for its response.
+       * The response is dispatched to the store with the requesting component as `context`.
+       * It is not named `request`, so it doesn't shadow the ZML method of that name.
+       *
+       * @param {import('./types').Action} action The request action.
+       * @param {{timeout?: number}} [options] The time to wait for the response (10 seconds by default).
+       * @returns {Promise<import('./types').Action>} The response, or a `requestFailure`/`requestCancel` action.
+       */
+      this.requestAction = (action, requestOptions = {}) => this._requester.request(action, { ...requestOptions, owner: this });
+      this._cancelRequests = () => this._requester.cancel();
+
+      if (options.sync) {
+        // The state of the App wins when both sides connect.
+        this._sync = createStateSync(store, { ...options.sync, primary: true, send: (message) => this.call(message) });
+      }
+      if (options.outbox) {
+        outbox = createOutbox(store, { ...options.outbox, send: (message) => this.call(message) });
+        this._outbox = outbox;
+      }
+      if (options.router) {
+        store.registerReducers(routerReducer);
+        store.registerEffects(createRouterEffects(options.router));
+        this._routerEnabled = true;
+      }
+      const acceptQueued = createOutboxReceiver((message) => this.call(message), receiverOptions(options.outbox));
+
       this.onAction = (action) => {
-        if (action && typeof action.type === 'string') {
+        if (this._sync && this._sync.handleMessage(action)) {
+          this.debug(`Synchronized state from ${action.type} on App.onAction.`);
+        } else if (this._requester.handleResponse(action)) {
+          this.debug(`Received response ${action.type} on App.onAction.`);
+        } else if (this._outbox && this._outbox.handleMessage(action)) {
+          this.debug(`Delivered queued action ${action.outboxId} on App.onAction.`);
+        } else if (!acceptQueued(action)) {
+          this.debug(`Discarding duplicated action ${action.type} on App.onAction.`);
+        } else if (action && typeof action.type === 'string') {
 		  this.debug(`Dispatching action ${action.type} from App.onAction.`);
           this.dispatch(action);
         } else {
@@ -75,11 +179,20 @@ function storePlugin(instance, store) {
         this._subscriptions.push(subscription);
         return subscription;
       };
+
+      // Send the state of the App to the Side Service, if it is already running.
+      if (this._sync) {
+        this._sync.connect();
+      }
+
+      // Let the effects know the App is wired, e.g. to start loading data.
+      this._store.dispatch({ ...storePluginInit(), context: this });
     },
 
     // This hook is called for Page and Side Service instances.
-    onInit() {
+    onInit(params) {
       let localStore;
+      let dispatchQueue;
       const isSideServiceContext = typeof messaging !== 'undefined';
 
       if (isSideServiceContext) {
@@ -89,10 +202,26 @@ function storePlugin(instance, store) {
         } else {
           store.setContext(this);
           localStore = store;
+          dispatchQueue = createDispatchQueue(options.scheduler, options.delay);
+
+          if (options.sync) {
+            this._sync = createStateSync(store, { ...options.sync, send: (message) => this.call(message) });
+          }
+          if (options.outbox) {
+            outbox = createOutbox(store, { ...options.outbox, send: (message) => this.call(message) });
+            this._outbox = outbox;
+          }
+          const acceptQueued = createOutboxReceiver((message) => this.call(message), receiverOptions(options.outbox));
 
           // For SideService, define an onAction that dispatches to its own store.
           this.onAction = (action) => {
-            if (action && typeof action.type === 'string') {
+            if (this._sync && this._sync.handleMessage(action)) {
+              this.debug(`Synchronized state from ${action.type} on SideService.onAction.`);
+            } else if (this._outbox && this._outbox.handleMessage(action)) {
+              this.debug(`Delivered queued action ${action.outboxId} on SideService.onAction.`);
+            } else if (!acceptQueued(action)) {
+              this.debug(`Discarding duplicated action ${action.type} on SideService.onAction.`);
+            } else if (action && typeof action.type === 'string') {
               this.debug(`Dispatching action ${action.type} from SideService.onAction.`);
               this.dispatch(action);
             } else {
@@ -107,11 +236,23 @@ function storePlugin(instance, store) {
           console.error('[rx-tiny-flux] Store not found on global App object. Ensure the plugin is registered on BaseApp.');
         } else {
           localStore = app._store;
+          dispatchQueue = app._dispatchQueue;
         }
 
         // For Pages, onAction is a no-op because the App's onAction handles it.
         // We still need to define it to register/unregister the listener correctly.
         this.onAction = () => {};
+
+        // Queued actions go through the outbox of the App.
+        if (app && app._outbox) {
+          this._outbox = app._outbox;
+        }
+
+        // Requests go through the App, which cancels them when this Page is destroyed.
+        if (app && app._requester) {
+          this.requestAction = (action, requestOptions = {}) => app._requester.request(action, { ...requestOptions, owner: this });
+          this._cancelRequests = () => app._requester.cancel(this);
+        }
       }
 
       // If we couldn't find a store, set up fake methods and exit.
@@ -119,6 +260,7 @@ function storePlugin(instance, store) {
 		this.onAction = () => console.error('[rx-tiny-flux] OnAction failed: store not initialized.');
 		this.messaging.onCall(this.onAction);
         this.dispatch = () => console.error('[rx-tiny-flux] Dispatch failed: store not initialized.');
+        this.dispatchAsync = () => Promise.reject(new Error('[rx-tiny-flux] Dispatch failed: store not initialized.'));
         this.subscribe = () => console.error('[rx-tiny-flux] Subscribe failed: store not initialized.');
         return;
       }
@@ -128,13 +270,21 @@ function storePlugin(instance, store) {
       this.messaging.onCall(this.onAction);
 
       this.debug(`Attaching store methods to the ${isSideServiceContext ? 'SideService' : 'Page'} instance.`);
+      this._dispatchQueue = dispatchQueue || createDispatchQueue();
       this.dispatch = (action) => {
-	    setTimeout(() => {
-          const actionWithContext = { ...action, context: this };
-          this._store.dispatch(actionWithContext);
-		}, 50)
+        this._dispatchQueue(() => this._store.dispatch({ ...action, context: this }));
       };
 
+      /**
+       * Dispatches an action like `dispatch`, and returns a promise resolved with the new state
+       * once the reducers ran.
+       * @param {import('./types').Action} action
+       * @returns {Promise<object>}
+       */
+      this.dispatchAsync = (action) => new Promise((resolve, reject) => {
+        this._dispatchQueue(() => this._store.dispatchAsync({ ...action, context: this }).then(resolve, reject));
+      });
+
       /**
        * Subscribes to a piece of the store's state, with optional RxJS operators.
        * Subscriptions are automatically cleaned up when the Page/Service is destroyed.
@@ -183,6 +333,64 @@ function storePlugin(instance, store) {
 			const subscription = this._store.actions$.pipe(filter(action => types.includes(action.type))).subscribe(callback);
 			this._subscriptions.push(subscription);
 		};
+
+        /**
+         * Creates a `ComponentStore` for the state local to this Page, available as `this.localStore`.
+         * It is destroyed when the Page is destroyed.
+         *
+         * @param {object} [initialState={}] The initial local state.
+         * @param {object} [config] The configuration of the store, e.g. `runtimeChecks`.
+         * @returns {ComponentStore} The local store.
+         */
+        this.createLocalStore = (initialState, config) => {
+          if (this.localStore) {
+            throw new Error('[rx-tiny-flux] createLocalStore: this Page already has a local store.');
+          }
+          this.localStore = new ComponentStore(initialState, config);
+          this.localStore.setContext(this);
+          return this.localStore;
+        };
+
+        /**
+         * Subscribes to a value selected from both the local store and the global store, with
+         * `selector(localState, globalState)`, and optional RxJS operators.
+         * Subscriptions are automatically cleaned up when the Page is destroyed.
+         *
+         * @param {function(object, object): any} selector A function to select a value from the local and global states.
+         * @param {...import('rxjs').OperatorFunction<any, any>} operators Zero or more RxJS operators to pipe.
+         * @param {function(any): void} callback The function to execute with the selected value.
+         * @returns {import('rxjs').Subscription} The subscription object.
+         */
+        this.subscribeLocal = (selector, ...args) => {
+          if (!this.localStore) {
+            throw new Error('[rx-tiny-flux] subscribeLocal: create the local store with `this.createLocalStore()` first.');
+          }
+          if (!this._subscriptions) {
+            this._subscriptions = [];
+          }
+
+          const callback = args.pop();
+          const stream$ = this.localStore.selectWith(this._store, selector);
+          const subscription = (args.length > 0 ? stream$.pipe(...args) : stream$).subscribe(callback);
+          this._subscriptions.push(subscription);
+          return subscription;
+        };
+
+        // Record the Page in the `router` slice. Its path is `this.route` if the Page declares it,
+        // or else the one requested by the last `navigateTo`.
+        const app = getApp();
+        if (app && app._routerEnabled) {
+          this._routeId = ++lastRouteId;
+          this._store.dispatch({ ...routerPageEnter({ id: this._routeId, url: this.route, params: parseRouteParams(params) }), context: this });
+        }
+	  } else {
+        // Adopt the state of the App, if it is already running.
+        if (this._sync) {
+          this._sync.connect();
+        }
+
+        // Let the effects know the Side Service is wired, e.g. to start loading data.
+        this._store.dispatch({ ...storePluginInit(), context: this });
 	  }
     },
 
@@ -194,10 +402,37 @@ function storePlugin(instance, store) {
 	  // tear down the messaging listener
 	  this.messaging.offOnCall(this.onAction);
 
+      // Cancel the requests still waiting for a response.
+      if (this._cancelRequests) {
+        this._cancelRequests();
+      }
+
+      // Stop mirroring the state.
+      if (this._sync) {
+        this._sync.unsubscribe();
+      }
+
+      // Stop sending the queued actions. They stay persisted for the next start.
+      if (outbox) {
+        outbox.unsubscribe();
+      }
+
       if (this._subscriptions && this._subscriptions.length > 0) {
         this._subscriptions.forEach((sub) => sub.unsubscribe());
         this._subscriptions = [];
       }
+
+      // Remove the Page from the `router` slice.
+      if (this._routeId !== undefined) {
+        this._store.dispatch({ ...routerPageLeave({ id: this._routeId }), context: this });
+        this._routeId = undefined;
+      }
+
+      // Tear down the local store of the Page.
+      if (this.localStore) {
+        this.localStore.destroy();
+        this.localStore = null;
+      }
     },
   };
 }